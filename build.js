@@ -2,103 +2,88 @@
 
 /**
  * Simple static site builder
- * Reads data.json and index.template.html, then generates index.html
+ * Reads data.json and renders every page: index.template.html → index.html and
+ * pages/<name>.template.html → <name>/index.html (see lib/pages.js)
+ * Rendering is done by lib/render.js, which the editor preview also uses
+ *
+ * data.json is checked against data.schema.json first; the build stops if it doesn't match.
+ *
+ * Usage:
+ *   node build.js               Build all pages
+ *   node build.js --strict      Fail (exit code 1, nothing written) if any placeholder
+ *                               does not resolve or any data.json key is used by no page
+ *   node build.js --data <file> Build from another data file instead of data.json
+ *   node build.js --out <dir>   Write the pages to another folder instead of next to build.js,
+ *                               with a copy of styles.css, script.js and testimonials.json
+ *                               (the editor builds in a temporary folder before publishing)
+ *   node build.js --fingerprint Copy styles.css and script.js under names with a hash of their
+ *                               content and link the pages to those (see lib/assets.js)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { renderSite } = require('./lib/pages');
+const { validate } = require('./lib/validate');
+const { buildAssets, fingerprintLinks } = require('./lib/assets');
+
+const strict = process.argv.includes('--strict');
+const fingerprint = process.argv.includes('--fingerprint');
+
+// Value of an option, e.g. --out /tmp/site
+function option(name) {
+    const index = process.argv.indexOf(name);
+    return index >= 0 ? process.argv[index + 1] : null;
+}
 
 // Read data file
-const dataPath = path.join(__dirname, 'data.json');
-const templatePath = path.join(__dirname, 'index.template.html');
-const outputPath = path.join(__dirname, 'index.html');
+const dataPath = path.resolve(option('--data') || path.join(__dirname, 'data.json'));
+const outDir = path.resolve(option('--out') || __dirname);
 
 // Load data
 const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
 
-// Load template
-let template = fs.readFileSync(templatePath, 'utf8');
-
-// Helper function to get nested value from object using dot notation
-function getValue(obj, path) {
-    return path.split('.').reduce((current, prop) => current && current[prop], obj);
+// Check data against data.schema.json
+const errors = validate(data);
+if (errors.length > 0) {
+    console.error(`✗ ${path.basename(dataPath)} does not match data.schema.json (${errors.length} error(s)):`);
+    errors.forEach(error => {
+        console.error(`    ${error.path}: ${error.message}`);
+    });
+    process.exit(1);
 }
 
-// Replace simple placeholders like {{site.title}}
-template = template.replace(/\{\{([^#\/].*?)\}\}/g, (match, key) => {
-    const value = getValue(data, key.trim());
-    return value !== undefined ? value : match;
-});
+// Render every page with data
+const { pages, unresolved, unusedKeys } = renderSite(data);
 
-// Handle Handlebars-style loops {{#each array}}...{{/each}}
-// Process each blocks
-const eachRegex = /\{\{#each\s+([^}]+)\}\}([\s\S]*?)\{\{\/each\}\}/g;
-let match;
-while ((match = eachRegex.exec(template)) !== null) {
-    const arrayPath = match[1].trim();
-    const blockTemplate = match[2];
-    const array = getValue(data, arrayPath);
-    
-    if (Array.isArray(array)) {
-        const rendered = array.map(item => {
-            let itemBlock = blockTemplate;
-            // Replace {{this.property}} with item.property
-            itemBlock = itemBlock.replace(/\{\{this\.([^}]+)\}\}/g, (m, prop) => {
-                return item[prop.trim()] || '';
-            });
-            // Replace {{this}} with the item itself (for strings)
-            itemBlock = itemBlock.replace(/\{\{this\}\}/g, () => {
-                return typeof item === 'string' ? item : '';
-            });
-            return itemBlock;
-        }).join('');
-        template = template.replace(match[0], rendered);
+if (strict && (unresolved.length > 0 || unusedKeys.length > 0)) {
+    if (unresolved.length > 0) {
+        console.error(`✗ ${unresolved.length} unresolved placeholder(s):`);
+        unresolved.forEach(item => {
+            console.error(`    ${item.file}:${item.line}  ${item.placeholder}`);
+        });
     }
+    if (unusedKeys.length > 0) {
+        console.error(`✗ ${unusedKeys.length} data.json key(s) not used by any page:`);
+        unusedKeys.forEach(key => {
+            console.error(`    ${key}`);
+        });
+    }
+    console.error('✗ Strict build failed, no pages were written');
+    process.exit(1);
 }
 
-// Replace sections with custom HTML if available
-// Map of section identifiers to data paths
-const sectionMap = [
-    { id: 'home', class: 'hero', path: 'hero' },
-    { class: 'experience-section', path: 'experience' },
-    { class: 'testimonial-section', path: 'testimonial' },
-    { id: 'about', class: 'about-section', path: 'about' },
-    { id: 'services', class: 'services-section', path: 'services' },
-    { id: 'portfolio', class: 'portfolio-section', path: 'portfolio' },
-    { class: 'standards-section', path: 'standards' },
-    { class: 'location-section', path: 'location' },
-    { id: 'contact', class: 'contact-section', path: 'contact' }
-];
-
-// For each section, check if customHtml exists and replace the inner content
-sectionMap.forEach(section => {
-    const customHtml = getValue(data, section.path + '.customHtml');
-    
-    if (customHtml) {
-        // Build regex to match the section opening tag
-        let pattern = '<section[^>]*';
-        if (section.id) {
-            pattern += `id="${section.id}"[^>]*`;
-        }
-        if (section.class) {
-            pattern += `class="[^"]*${section.class}[^"]*"[^>]*`;
-        }
-        pattern += '>([\\s\\S]*?)</section>';
-        
-        const sectionRegex = new RegExp(pattern, 'i');
-        const sectionMatch = template.match(sectionRegex);
-        
-        if (sectionMatch) {
-            // Replace the inner content with custom HTML, keeping the opening and closing tags
-            template = template.replace(sectionRegex, (match, innerContent) => {
-                return match.replace(innerContent, customHtml);
-            });
-            console.log(`✓ Using custom HTML for ${section.path} section`);
-        }
-    }
+// Assets the pages need, unless they are already there (building next to build.js without fingerprints)
+const assets = buildAssets({ fingerprint });
+assets.filter(asset => outDir !== __dirname || asset.output !== asset.source).forEach(asset => {
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, asset.output), asset.content);
+    console.log(`✓ Copied ${asset.source}${asset.output !== asset.source ? ` to ${asset.output}` : ''}`);
 });
 
 // Write output
-fs.writeFileSync(outputPath, template, 'utf8');
-console.log('✓ Built index.html from template');
-
+pages.forEach(page => {
+    const outputPath = path.join(outDir, page.output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, fingerprintLinks(page.html, assets), 'utf8');
+    console.log(`✓ Built ${page.output} from ${page.template}`);
+});
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Add an editor account, or set the password and role of an existing one
+ * Needed once to create the first admin; admins can manage accounts in the editor after that.
+ *
+ * Usage (from editor/):
+ *   npm run add-user -- <username> <role>
+ *   node add-user.js anna admin
+ *
+ * The password is asked for (and not shown). role is viewer, editor, publisher or admin (see auth.js).
+ */
+
+import { createInterface } from 'readline';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ROLES, loadUsers, saveUsers, findUserProblem, hashPassword } from './auth.js';
+
+const usersPath = join(dirname(fileURLToPath(import.meta.url)), 'users.json');
+
+const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: Boolean(process.stdin.isTTY) });
+// Don't show what is typed
+rl._writeToOutput = () => {};
+const lines = rl[Symbol.asyncIterator]();
+
+async function askHidden(question) {
+  process.stdout.write(question);
+  const { value } = await lines.next();
+  process.stdout.write('\n');
+  return value || '';
+}
+
+const [username, role] = process.argv.slice(2);
+if (!username || !role) {
+  console.error(`Usage: node add-user.js <username> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+const password = await askHidden('Password: ');
+const problem = findUserProblem({ username, role, password });
+if (problem) {
+  console.error(`✗ ${problem}`);
+  process.exit(1);
+}
+if (await askHidden('Password again: ') !== password) {
+  console.error('✗ The passwords don\'t match');
+  process.exit(1);
+}
+rl.close();
+
+const users = loadUsers(usersPath);
+const existing = Object.hasOwn(users, username) ? users[username] : null;
+users[username] = {
+  role,
+  password: await hashPassword(password),
+  createdAt: existing ? existing.createdAt : new Date().toISOString()
+};
+saveUsers(usersPath, users);
+console.log(`✓ ${existing ? 'Updated' : 'Added'} ${username} (${role})`);
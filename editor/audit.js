@@ -0,0 +1,130 @@
+/**
+ * Audit log
+ * Who did what in the editor, one JSON line per action appended to editor/audit.jsonl:
+ *
+ *   {"at":"...","actor":"anna","action":"data.save","draft":"main","paths":["hero.title"],
+ *    "summary":"Changed hero.title","changes":[{"path":"hero.title","type":"changed","before":"Old","after":"New"}]}
+ *
+ * Lines are only ever added, never changed or removed, one at a time in the order they were
+ * recorded, without holding up the request that recorded them. Besides at, actor and action, an entry
+ * has what applies to it: draft, paths (data.json fields), files (photos, pages), summary,
+ * changes (before/after values, long ones shortened), versionId, error (an action that failed).
+ *
+ * Used by the editor server, which records every change made through it, and its /api/audit routes.
+ */
+
+import { readFile, appendFile } from 'fs/promises';
+
+// Actions and how the editor names them
+export const AUDIT_ACTIONS = {
+  'session.login': 'Signed in',
+  'session.failed': 'Failed to sign in',
+  'session.logout': 'Signed out',
+  'data.save': 'Edited a draft',
+  'data.reset': 'Reset a draft to production',
+  'data.undo': 'Undid edits',
+  'data.redo': 'Redid edits',
+  'draft.create': 'Created a draft',
+  'draft.delete': 'Deleted a draft',
+  'publish': 'Published',
+  'staging.publish': 'Published to staging',
+  'staging.promote': 'Promoted staging to the live site',
+  'rollback': 'Rolled back',
+  'schedule.create': 'Scheduled a publish',
+  'schedule.update': 'Rescheduled a publish',
+  'schedule.cancel': 'Cancelled a scheduled publish',
+  'photo.upload': 'Uploaded a photo',
+  'photo.replace': 'Replaced a photo',
+  'photo.metadata': 'Changed photo details',
+  'photo.delete': 'Deleted a photo',
+  'photo.cleanup': 'Cleaned up unused photos',
+  'photo.restore': 'Restored a photo',
+  'user.add': 'Added an account',
+  'user.change': 'Changed an account',
+  'user.delete': 'Deleted an account'
+};
+
+// Longest before/after value kept in an entry, as JSON
+const MAX_VALUE_LENGTH = 200;
+
+function shorten(value) {
+  if (value === undefined) return undefined;
+  const json = JSON.stringify(value);
+  return json.length > MAX_VALUE_LENGTH ? `${json.slice(0, MAX_VALUE_LENGTH)}…` : value;
+}
+
+/**
+ * Changes (from lib/diff.js) as kept in the log, with long values shortened
+ * @param {Array<{ path: string, type: string, before?: *, after?: * }>} changes
+ * @returns {Array<object>}
+ */
+export function auditChanges(changes) {
+  return changes.map(change => ({
+    path: change.path,
+    type: change.type,
+    before: shorten(change.before),
+    after: shorten(change.after)
+  }));
+}
+
+// Lines waiting to be written, by log file: each append starts when the one before has finished
+const writing = new Map();
+
+/**
+ * Add an entry to the log
+ * A log that can't be written is reported on the console; the action itself still happens.
+ * @param {string} auditPath
+ * @param {{ actor: string, action: string }} entry - And any of the fields described above
+ * @returns {Promise<void>} Resolves once it is written (or couldn't be); there is no need to wait
+ */
+export function recordAudit(auditPath, entry) {
+  const line = JSON.stringify({ at: new Date().toISOString(), ...entry });
+  const written = (writing.get(auditPath) || Promise.resolve())
+    .then(() => appendFile(auditPath, line + '\n', 'utf8'))
+    .catch(error => console.error(`Could not write to ${auditPath}:`, error.message, line));
+  writing.set(auditPath, written);
+  return written;
+}
+
+/**
+ * Entries of the log, newest first, including any still being written
+ * @param {string} auditPath
+ * @param {object} [filters]
+ * @param {string} [filters.actor] - Only this account
+ * @param {string} [filters.action] - Only this action, or a group of them ('photo' for photo.*)
+ * @param {string} [filters.from] - Only from this time (ISO date and time)
+ * @param {string} [filters.to] - Only until this time (ISO date and time)
+ * @param {string} [filters.q] - Only entries mentioning this text (in draft, paths, files or summary)
+ * @returns {Promise<Array<object>>}
+ */
+export async function readAudit(auditPath, { actor, action, from, to, q } = {}) {
+  await writing.get(auditPath);
+  let text = '';
+  try {
+    text = await readFile(auditPath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const search = q ? q.toLowerCase() : null;
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      continue; // A line cut short, e.g. by a crash while writing
+    }
+    if (actor && entry.actor !== actor) continue;
+    if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) continue;
+    if (from && entry.at < from) continue;
+    if (to && entry.at > to) continue;
+    if (search) {
+      const mentioned = [entry.draft, entry.summary, ...(entry.paths || []), ...(entry.files || [])].join('\n').toLowerCase();
+      if (!mentioned.includes(search)) continue;
+    }
+    entries.push(entry);
+  }
+  return entries.reverse();
+}
@@ -0,0 +1,215 @@
+/**
+ * Accounts, sessions and roles
+ * Editor accounts are kept in editor/users.json, with scrypt password hashes:
+ *
+ *   { "anna": { "role": "admin", "password": "scrypt:<salt>:<hash>", "createdAt": "..." } }
+ *
+ * Create the first one with `npm run add-user -- <name> admin` (see add-user.js); admins manage
+ * the others in the editor. Each role can do what the ones before it can:
+ *   viewer     look at drafts, previews, the photo library and the publish history
+ *   editor     change drafts and photos
+ *   publisher  publish, roll back and schedule publishes
+ *   admin      manage accounts
+ *
+ * Signing in starts a session (a random id in an HttpOnly cookie, kept in memory, so restarting
+ * the server signs everyone out). Each session has a CSRF token the editor sends as X-CSRF-Token
+ * with every request that changes something.
+ *
+ * Used by the /api/login, /api/session and /api/users routes of the editor server, which checks
+ * the role of every /api route.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+export const ROLES = ['viewer', 'editor', 'publisher', 'admin'];
+export const SESSION_COOKIE = 'editor_session';
+
+// Signed out after this long without a request
+const SESSION_HOURS = 12;
+// Failed sign-ins from one address before it has to wait
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_MINUTES = 15;
+const USERNAME = /^[a-z0-9][a-z0-9._-]{0,39}$/;
+const MIN_PASSWORD_LENGTH = 10;
+
+const scryptAsync = promisify(scrypt);
+const sessions = new Map();
+const failedLogins = new Map();
+
+export function loadUsers(usersPath) {
+  try {
+    return JSON.parse(readFileSync(usersPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Could not read ${usersPath}:`, error.message);
+    return {};
+  }
+}
+
+export function saveUsers(usersPath, users) {
+  writeFileSync(usersPath, JSON.stringify(users, null, 2), { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Whether a user's role includes another, e.g. a publisher is also an editor
+ * @param {{ role: string }|null} user
+ * @param {string} role - One of ROLES
+ * @returns {boolean}
+ */
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Check an account's fields from the editor or add-user.js
+ * @param {{ username?: string, role?: string, password?: string }} fields
+ * @returns {string|null} What is wrong, or null
+ */
+export function findUserProblem({ username, role, password }) {
+  if (username !== undefined && (typeof username !== 'string' || !USERNAME.test(username))) {
+    return 'Usernames are 1 to 40 lowercase letters, numbers, dots, dashes and underscores';
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return `role must be one of ${ROLES.join(', ')}`;
+  }
+  if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, 64);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scryptAsync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Check a sign-in, counting failures per address
+ * Throws an Error whose status is 429 after too many failures, or 401 for a wrong name or password.
+ * @param {string} usersPath
+ * @param {string} username
+ * @param {string} password
+ * @param {string} address - Where the request came from
+ * @returns {Promise<{ username: string, role: string }>}
+ */
+export async function checkLogin(usersPath, username, password, address) {
+  const now = Date.now();
+  const failed = failedLogins.get(address);
+  if (failed && now - failed.since > FAILED_LOGIN_MINUTES * 60 * 1000) failedLogins.delete(address);
+  else if (failed && failed.count >= MAX_FAILED_LOGINS) {
+    throw Object.assign(new Error(`Too many failed sign-ins. Try again in ${FAILED_LOGIN_MINUTES} minutes.`), { status: 429 });
+  }
+
+  const users = loadUsers(usersPath);
+  const user = Object.hasOwn(users, username) ? users[username] : null;
+  // Hash even for unknown names, so the response time doesn't tell which names exist
+  const valid = await verifyPassword(password, user ? user.password : `scrypt:${'0'.repeat(32)}:${'0'.repeat(128)}`);
+  if (!user || !valid) {
+    const entry = failedLogins.get(address) || { count: 0, since: now };
+    failedLogins.set(address, { ...entry, count: entry.count + 1 });
+    throw Object.assign(new Error('Wrong username or password'), { status: 401 });
+  }
+  failedLogins.delete(address);
+  return { username, role: user.role };
+}
+
+/**
+ * Start a session
+ * @param {string} username
+ * @returns {{ id: string, username: string, csrfToken: string, expiresAt: number }}
+ */
+export function startSession(username) {
+  const session = {
+    id: randomBytes(32).toString('hex'),
+    username,
+    csrfToken: randomBytes(32).toString('hex'),
+    expiresAt: Date.now() + SESSION_HOURS * 60 * 60 * 1000
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * The session of a request, extended for another SESSION_HOURS
+ * @param {string|undefined} id - From the session cookie
+ * @returns {object|null} null if there is none or it has expired
+ */
+export function findSession(id) {
+  const session = id ? sessions.get(id) : null;
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(id);
+    return null;
+  }
+  session.expiresAt = Date.now() + SESSION_HOURS * 60 * 60 * 1000;
+  return session;
+}
+
+export function endSession(id) {
+  sessions.delete(id);
+}
+
+/**
+ * Sign a user out everywhere, e.g. when their account is deleted or their password changed
+ * @param {string} username
+ * @param {string} [keepId] - A session to keep (the user changing their own password)
+ */
+export function endSessionsOf(username, keepId) {
+  for (const [id, session] of sessions) {
+    if (session.username === username && id !== keepId) sessions.delete(id);
+  }
+}
+
+/**
+ * Whether a request's X-CSRF-Token matches its session
+ * @param {object} session
+ * @param {string|undefined} token
+ * @returns {boolean}
+ */
+export function isValidCsrfToken(session, token) {
+  const expected = Buffer.from(session.csrfToken);
+  const actual = Buffer.from(String(token || ''));
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * A cookie of a request
+ * @param {object} req
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+export function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return undefined;
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Set-Cookie value for a session (or for clearing it, without one)
+ * The cookie lasts until the browser closes; the session itself ends after SESSION_HOURS without a request.
+ * @param {object|null} session
+ * @param {boolean} secure - Whether the editor is served over HTTPS
+ * @returns {string}
+ */
+export function sessionCookie(session, secure) {
+  const value = session ? `${SESSION_COOKIE}=${session.id}` : `${SESSION_COOKIE}=; Max-Age=0`;
+  return `${value}; Path=/; HttpOnly; SameSite=Strict${secure ? '; Secure' : ''}`;
+}
@@ -0,0 +1,186 @@
+/**
+ * Drafts
+ * Separate working copies of the site data, each edited, previewed and published on its own,
+ * so a redesign in progress doesn't hold up a quick fix. The main draft is data-preview.json
+ * (with its undo history in data-preview.history.json); the others are drafts/<name>.json and
+ * drafts/<name>.history.json at the repository root.
+ *
+ * drafts/_drafts.json records when each draft was made, what from, and the production data.json
+ * it started from (its base):
+ *
+ *   { "services-redesign": { "createdAt": "...", "createdFrom": "production", "base": { "at": "...", "data": {...} } } }
+ *
+ * When production has changed since, publishing the draft would undo those changes; findOutdated()
+ * lists the ones the draft doesn't have.
+ *
+ * Used by the /api/drafts routes and every route of the editor server that reads or changes the
+ * preview (?draft=<name>, main by default).
+ */
+
+import { readFileSync, writeFileSync, readdirSync, statSync, mkdirSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { diffData, getAtPath } from '../lib/diff.js';
+
+export const MAIN_DRAFT = 'main';
+
+const DRAFTS_DIR = 'drafts';
+const INFO_FILE = '_drafts.json'; // Not a valid draft name, so it can't clash with one
+const DRAFT_NAME = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+function draftError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Check a draft name from a URL or the editor: lowercase letters, numbers and dashes
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isDraftName(name) {
+  return typeof name === 'string' && DRAFT_NAME.test(name);
+}
+
+/**
+ * Files of a draft
+ * @param {string} rootDir - Repository root
+ * @param {string} name
+ * @returns {{ data: string, history: string, file: string }} Full paths, and the data file relative to
+ *   rootDir for messages (e.g. 'drafts/services-redesign.json')
+ */
+export function draftFiles(rootDir, name) {
+  if (name === MAIN_DRAFT) {
+    return {
+      data: join(rootDir, 'data-preview.json'),
+      history: join(rootDir, 'data-preview.history.json'),
+      file: 'data-preview.json'
+    };
+  }
+  return {
+    data: join(rootDir, DRAFTS_DIR, `${name}.json`),
+    history: join(rootDir, DRAFTS_DIR, `${name}.history.json`),
+    file: `${DRAFTS_DIR}/${name}.json`
+  };
+}
+
+/**
+ * Names of the drafts, main first
+ * @param {string} rootDir
+ * @returns {string[]}
+ */
+export function listDraftNames(rootDir) {
+  let files = [];
+  try {
+    files = readdirSync(join(rootDir, DRAFTS_DIR));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  const names = files
+    .map(file => file.replace(/\.json$/, ''))
+    .filter(name => isDraftName(name) && name !== MAIN_DRAFT && files.includes(`${name}.json`))
+    .sort();
+  return [MAIN_DRAFT, ...names];
+}
+
+export function loadDraftInfo(rootDir) {
+  try {
+    return JSON.parse(readFileSync(join(rootDir, DRAFTS_DIR, INFO_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Could not read ${DRAFTS_DIR}/${INFO_FILE}:`, error.message);
+    return {};
+  }
+}
+
+function saveDraftInfo(rootDir, info) {
+  mkdirSync(join(rootDir, DRAFTS_DIR), { recursive: true });
+  writeFileSync(join(rootDir, DRAFTS_DIR, INFO_FILE), JSON.stringify(info), 'utf8');
+}
+
+/**
+ * Record that a draft now starts from this production data (after it was created from, reset to or
+ * published as production)
+ * @param {string} rootDir
+ * @param {string} name
+ * @param {object} liveData
+ */
+export function setDraftBase(rootDir, name, liveData) {
+  const info = loadDraftInfo(rootDir);
+  info[name] = { ...info[name], base: { at: new Date().toISOString(), data: liveData } };
+  saveDraftInfo(rootDir, info);
+}
+
+/**
+ * Make a new draft
+ * Throws an Error whose status is 400 (bad name) or 409 (a draft with that name exists).
+ * @param {string} rootDir
+ * @param {string} name
+ * @param {object} options
+ * @param {object} options.data - Its data: the live data.json or a copy of another draft
+ * @param {string} options.createdFrom - 'production' or the name of the draft it copies
+ * @param {{ at: string, data: object }|null} options.base - The production data it starts from
+ */
+export function createDraft(rootDir, name, { data, createdFrom, base }) {
+  if (!isDraftName(name)) {
+    throw draftError(400, 'Draft names are 1 to 40 lowercase letters, numbers and dashes, e.g. services-redesign');
+  }
+  const files = draftFiles(rootDir, name);
+  if (existsSync(files.data)) {
+    throw draftError(409, `There is already a draft named "${name}"`);
+  }
+
+  mkdirSync(join(rootDir, DRAFTS_DIR), { recursive: true });
+  writeFileSync(files.data, JSON.stringify(data, null, 2), 'utf8');
+  const info = loadDraftInfo(rootDir);
+  info[name] = { createdAt: new Date().toISOString(), createdFrom, base };
+  saveDraftInfo(rootDir, info);
+}
+
+/**
+ * Delete a draft and its undo history
+ * Throws an Error whose status is 400 (the main draft) or 404 (no such draft).
+ * @param {string} rootDir
+ * @param {string} name
+ */
+export function deleteDraft(rootDir, name) {
+  if (name === MAIN_DRAFT) {
+    throw draftError(400, 'The main draft can\'t be deleted; reset it to production instead');
+  }
+  const files = draftFiles(rootDir, name);
+  if (!isDraftName(name) || !existsSync(files.data)) {
+    throw draftError(404, `No draft named "${name}"`);
+  }
+
+  rmSync(files.data, { force: true });
+  rmSync(files.history, { force: true });
+  const info = loadDraftInfo(rootDir);
+  delete info[name];
+  saveDraftInfo(rootDir, info);
+}
+
+/**
+ * Production changes since a draft's base that publishing the draft would undo
+ * Changes the draft already has (e.g. it was the one published) don't count.
+ * @param {{ at: string, data: object }|null|undefined} base - From loadDraftInfo()
+ * @param {object} draftData
+ * @param {object} liveData
+ * @returns {Array<{ path: string, type: string, before?: *, after?: * }>} Empty if the draft is up to date
+ *   or its base isn't known. before is the value in the base, after the live value.
+ */
+export function findOutdated(base, draftData, liveData) {
+  if (!base || !liveData) return [];
+  return diffData(base.data, liveData).filter(change =>
+    JSON.stringify(getAtPath(draftData, change.path)) !== JSON.stringify(getAtPath(liveData, change.path)));
+}
+
+/**
+ * When a draft's data file was last saved
+ * @param {string} rootDir
+ * @param {string} name
+ * @returns {string|null} ISO date, or null if it has no data yet
+ */
+export function draftUpdatedAt(rootDir, name) {
+  try {
+    return statSync(draftFiles(rootDir, name).data).mtime.toISOString();
+  } catch (error) {
+    return null;
+  }
+}
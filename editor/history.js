@@ -0,0 +1,150 @@
+/**
+ * Edit history of a draft (see drafts.js)
+ * Every save from the editor is recorded as the fields it changed (lib/diff.js), in the draft's
+ * history file (data-preview.history.json next to data-preview.json for the main draft), so
+ * undo/redo and the change timeline survive reloads and browser restarts:
+ *
+ *   { "position": 2, "entries": [{ "id": 1, "time": "...", "summary": "Changed hero.title", "changes": [...] }, ...] }
+ *
+ * position is the number of entries that are applied; entries after it can be redone until
+ * the next edit. Saves of the same fields within GROUP_SECONDS of each other (typing in a
+ * field) are merged into one entry. Only the last MAX_ENTRIES entries are kept.
+ *
+ * Used by the /api/data and /api/history routes of the editor server (one history per draft).
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { diffData, summarizeDiff, applyDiff, getAtPath } from '../lib/diff.js';
+
+export const GROUP_SECONDS = 5;
+export const MAX_ENTRIES = 500;
+
+/**
+ * Load the history (an empty one if there is none yet)
+ * @param {string} historyPath
+ * @returns {{ position: number, entries: Array }}
+ */
+export function loadHistory(historyPath) {
+  try {
+    return JSON.parse(readFileSync(historyPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Could not read ${historyPath}, starting a new history:`, error.message);
+    return { position: 0, entries: [] };
+  }
+}
+
+export function saveHistory(historyPath, history) {
+  writeFileSync(historyPath, JSON.stringify(history), 'utf8');
+}
+
+/**
+ * Record a save of a draft
+ * @param {object} history - From loadHistory(); changed in place
+ * @param {object} before - The draft before the save
+ * @param {object} after - The draft after the save
+ * @param {string} [label] - Summary to show instead of the changed fields, e.g. 'Reset to production'.
+ *   Labelled entries are never merged with other saves.
+ * @returns {boolean} false if the save changed nothing
+ */
+export function recordEdit(history, before, after, label) {
+  const changes = diffData(before, after);
+  if (changes.length === 0) return false;
+
+  // A new edit replaces the steps that were undone
+  const hadRedo = history.position < history.entries.length;
+  history.entries = history.entries.slice(0, history.position);
+
+  const now = new Date();
+  const last = history.entries[history.entries.length - 1];
+
+  // Typing in a field saves many times; keep that as one step
+  const lastPaths = last ? last.changes.map(change => change.path) : [];
+  const groups = last && !label && !last.label && !hadRedo
+    && now - new Date(last.time) < GROUP_SECONDS * 1000
+    && changes.every(change => lastPaths.includes(change.path));
+  if (groups) {
+    const merged = diffData(applyDiff(before, last.changes, 'backward'), after);
+    if (merged.length === 0) {
+      history.entries.pop();
+    } else {
+      Object.assign(last, { time: now.toISOString(), summary: summarizeDiff(merged), changes: merged });
+    }
+  } else {
+    history.entries.push({
+      id: last ? last.id + 1 : 1,
+      time: now.toISOString(),
+      summary: label || summarizeDiff(changes),
+      label: label || undefined,
+      changes
+    });
+  }
+
+  history.entries = history.entries.slice(-MAX_ENTRIES);
+  history.position = history.entries.length;
+  return true;
+}
+
+/**
+ * Undo or redo up to a position in the history
+ * Throws an Error whose status is 400 (no such position) or 409 (the draft no longer
+ * matches the history, e.g. it was edited by hand).
+ * @param {object} history - From loadHistory(); its position is changed in place
+ * @param {object} data - Current data of the draft
+ * @param {number} position - 0 undoes everything, history.entries.length redoes everything
+ * @returns {object} The draft's data at that position
+ */
+export function moveInHistory(history, data, position) {
+  if (!Number.isInteger(position) || position < 0 || position > history.entries.length) {
+    throw Object.assign(new Error(`There is no step ${position} in the history`), { status: 400 });
+  }
+
+  const matches = (changes, side) => changes.every(change =>
+    JSON.stringify(getAtPath(data, change.path)) === JSON.stringify(change[side]));
+
+  while (history.position !== position) {
+    const undo = position < history.position;
+    const entry = history.entries[undo ? history.position - 1 : history.position];
+    if (!matches(entry.changes, undo ? 'after' : 'before')) {
+      throw Object.assign(new Error(`The draft was changed outside the editor, so "${entry.summary}" can't be ${undo ? 'undone' : 'redone'}`), { status: 409 });
+    }
+    data = applyDiff(data, entry.changes, undo ? 'backward' : 'forward');
+    history.position += undo ? -1 : 1;
+  }
+  return data;
+}
+
+// Long values are cut short for the timeline
+function shorten(value) {
+  if (value === undefined) return undefined;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 100 ? text.slice(0, 100) + '…' : text;
+}
+
+/**
+ * The history as shown in the editor's timeline, newest first
+ * @param {object} history - From loadHistory()
+ * @returns {{ position: number, canUndo: boolean, canRedo: boolean,
+ *   entries: Array<{ id: number, position: number, time: string, summary: string, applied: boolean,
+ *     changes: Array<{ path: string, type: string, before?: string, after?: string }> }> }}
+ *   An entry's position is the position to move to for the site to be as it was right after it
+ */
+export function describeHistory(history) {
+  return {
+    position: history.position,
+    canUndo: history.position > 0,
+    canRedo: history.position < history.entries.length,
+    entries: history.entries.map((entry, index) => ({
+      id: entry.id,
+      position: index + 1,
+      time: entry.time,
+      summary: entry.summary,
+      applied: index < history.position,
+      changes: entry.changes.map(change => ({
+        path: change.path,
+        type: change.type,
+        before: shorten(change.before),
+        after: shorten(change.after)
+      }))
+    })).reverse()
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Upload image pipeline
+ * Turns an uploaded photo into a copy without EXIF/GPS metadata plus resized AVIF, WebP
+ * and JPEG variants (widths and naming from lib/images.js). Used by POST /api/photos/upload.
+ */
+
+import sharp from 'sharp';
+import { variantName, VARIANT_WIDTHS, VARIANT_FORMATS } from '../lib/images.js';
+
+const CONTENT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+const QUALITY = { avif: 50, webp: 75, jpeg: 80 };
+
+// Formats that are re-encoded and resized; anything else (svg, gif) is stored as uploaded
+const RESIZABLE_FORMATS = ['jpeg', 'png', 'webp', 'avif'];
+
+/**
+ * Process an uploaded photo
+ * @param {Buffer} buffer - Uploaded bytes
+ * @param {string} filename - Blob name of the photo, used to name the variants
+ * @returns {Promise<{ original: Buffer, width?: number, height?: number, widths: number[], formats: string[],
+ *   variants: Array<{ name: string, buffer: Buffer, contentType: string }> }>}
+ *   widths is empty when the photo was stored as uploaded
+ */
+export async function processImage(buffer, filename) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new Error(`${filename} is not an image that can be read (${error.message})`);
+  }
+
+  if (!RESIZABLE_FORMATS.includes(metadata.format)) {
+    return { original: buffer, widths: [], formats: [], variants: [] };
+  }
+
+  // rotate() applies the EXIF orientation; sharp drops EXIF, GPS and XMP metadata unless asked to keep it
+  const { data: original, info } = await sharp(buffer)
+    .rotate()
+    .toFormat(metadata.format, metadata.format === 'png' ? {} : { quality: 90 })
+    .toBuffer({ resolveWithObject: true });
+
+  // Widths smaller than the photo, plus the photo's own width when it is below the largest variant
+  const widths = VARIANT_WIDTHS.filter(width => width < info.width);
+  if (info.width <= VARIANT_WIDTHS[VARIANT_WIDTHS.length - 1]) {
+    widths.push(info.width);
+  }
+
+  // One at a time - each resize holds a decoded copy of the photo in memory
+  const variants = [];
+  for (const width of widths) {
+    for (const format of VARIANT_FORMATS) {
+      const variant = await sharp(original)
+        .resize({ width })
+        .toFormat(format, { quality: QUALITY[format] })
+        .toBuffer();
+      variants.push({ name: variantName(filename, width, format), buffer: variant, contentType: CONTENT_TYPES[format] });
+    }
+  }
+
+  return {
+    original,
+    width: info.width,
+    height: info.height,
+    widths,
+    formats: VARIANT_FORMATS,
+    variants
+  };
+}
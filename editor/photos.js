@@ -0,0 +1,188 @@
+/**
+ * Photo library
+ * Alt text, caption, tags, credit and focal point of each photo, stored as metadata
+ * on its file in the photos container (see storage.js). Blob metadata values must be ASCII, so each
+ * value is URI-encoded; tags are comma-separated and the focal point is "x,y" in percent.
+ *
+ * Deleted photos (and their resized variants) are moved to trash/ in the same container,
+ * where they can be restored for TRASH_DAYS days. The trashed blob keeps the photo's
+ * metadata plus "deletedat" and its photos.json entry ("manifest").
+ *
+ * Used by the /api/photos routes of the editor server.
+ */
+
+import { validate } from '../lib/validate.js';
+import { variantName } from '../lib/images.js';
+
+export const TRASH_PREFIX = 'trash/';
+export const TRASH_DAYS = 30;
+
+export const PHOTO_METADATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    alt: { type: 'string', maxLength: 300 },
+    caption: { type: 'string', maxLength: 500 },
+    tags: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'string',
+        pattern: '^[a-z0-9-]+$',
+        patternMessage: 'must use only lowercase letters, numbers and dashes'
+      }
+    },
+    credit: { type: 'string', maxLength: 200 },
+    focalPoint: {
+      type: ['object', 'null'],
+      required: ['x', 'y'],
+      properties: {
+        x: { type: 'number', minimum: 0, maximum: 100 },
+        y: { type: 'number', minimum: 0, maximum: 100 }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Check photo metadata sent by the editor
+ * @param {object} metadata
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function validatePhotoMetadata(metadata) {
+  return validate(metadata, PHOTO_METADATA_SCHEMA);
+}
+
+/**
+ * Photo metadata from a blob's metadata
+ * @param {Object<string, string>} [blobMetadata] - metadata from the container's list() or info()
+ * @returns {{ alt: string, caption: string, tags: string[], credit: string, focalPoint: {x: number, y: number}|null }}
+ */
+export function readPhotoMetadata(blobMetadata = {}) {
+  const read = key => {
+    try {
+      return decodeURIComponent(blobMetadata[key] || '');
+    } catch (error) {
+      return blobMetadata[key];
+    }
+  };
+
+  const [x, y] = read('focalpoint').split(',').map(Number);
+  return {
+    alt: read('alt'),
+    caption: read('caption'),
+    tags: read('tags').split(',').filter(Boolean),
+    credit: read('credit'),
+    focalPoint: read('focalpoint') && !isNaN(x) && !isNaN(y) ? { x, y } : null
+  };
+}
+
+/**
+ * Blob metadata for photo metadata (empty values are left out)
+ * @param {object} metadata - Validated with validatePhotoMetadata()
+ * @returns {Object<string, string>}
+ */
+export function toBlobMetadata(metadata) {
+  const values = {
+    alt: metadata.alt,
+    caption: metadata.caption,
+    tags: (metadata.tags || []).join(','),
+    credit: metadata.credit,
+    focalpoint: metadata.focalPoint ? `${metadata.focalPoint.x},${metadata.focalPoint.y}` : ''
+  };
+
+  const blobMetadata = {};
+  Object.keys(values).forEach(key => {
+    if (values[key]) blobMetadata[key] = encodeURIComponent(values[key]);
+  });
+  return blobMetadata;
+}
+
+function variantNames(filename, manifestEntry) {
+  if (!manifestEntry || !manifestEntry.widths) return [];
+  return manifestEntry.widths.flatMap(width => manifestEntry.formats.map(format => variantName(filename, width, format)));
+}
+
+/**
+ * Move a photo and its resized variants to the trash
+ * @param {object} container - The photos container (see storage.js)
+ * @param {string} filename
+ * @param {object} [manifestEntry] - Its photos.json entry, restored with the photo
+ */
+export async function moveToTrash(container, filename, manifestEntry) {
+  const info = await container.info(filename);
+  const metadata = { ...info.metadata, deletedat: encodeURIComponent(new Date().toISOString()) };
+  if (manifestEntry) {
+    metadata.manifest = encodeURIComponent(JSON.stringify(manifestEntry));
+  }
+
+  for (const name of variantNames(filename, manifestEntry)) {
+    if (await container.exists(name)) {
+      await container.move(name, TRASH_PREFIX + name);
+    }
+  }
+  await container.move(filename, TRASH_PREFIX + filename, { metadata });
+}
+
+/**
+ * Move a photo back from the trash
+ * @param {object} container - The photos container (see storage.js)
+ * @param {string} filename - Original name, without trash/
+ * @returns {Promise<object|null>} Its photos.json entry, if it had one
+ */
+export async function restoreFromTrash(container, filename) {
+  const info = await container.info(TRASH_PREFIX + filename);
+  const { deletedat, manifest, ...metadata } = info.metadata;
+  const manifestEntry = manifest ? JSON.parse(decodeURIComponent(manifest)) : null;
+
+  for (const name of variantNames(filename, manifestEntry)) {
+    if (await container.exists(TRASH_PREFIX + name)) {
+      await container.move(TRASH_PREFIX + name, name);
+    }
+  }
+  await container.move(TRASH_PREFIX + filename, filename, { metadata });
+  return manifestEntry;
+}
+
+/**
+ * List the trash, permanently deleting photos that were deleted more than TRASH_DAYS days ago
+ * @param {object} container - The photos container (see storage.js)
+ * @returns {Promise<Array<{ name: string, url: string, size: number, deletedAt: string, expiresAt: string }>>}
+ */
+export async function listTrash(container) {
+  const photos = [];
+  const expired = [];
+
+  for await (const blob of container.list({ prefix: TRASH_PREFIX })) {
+    const name = blob.name.slice(TRASH_PREFIX.length);
+    if (name.startsWith('variants/')) continue;
+
+    const deletedAt = new Date(decodeURIComponent(blob.metadata.deletedat || '') || blob.lastModified);
+    const expiresAt = new Date(deletedAt.getTime() + TRASH_DAYS * 24 * 60 * 60 * 1000);
+    const manifest = blob.metadata.manifest;
+    if (expiresAt < new Date()) {
+      expired.push({ name, manifestEntry: manifest ? JSON.parse(decodeURIComponent(manifest)) : null });
+      continue;
+    }
+
+    photos.push({
+      name,
+      url: container.url(blob.name),
+      size: blob.size,
+      deletedAt: deletedAt.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      ...readPhotoMetadata(blob.metadata)
+    });
+  }
+
+  for (const { name, manifestEntry } of expired) {
+    for (const variant of variantNames(name, manifestEntry)) {
+      await container.delete(TRASH_PREFIX + variant);
+    }
+    await container.delete(TRASH_PREFIX + name);
+    console.log(`✓ Permanently deleted ${name} (in the trash for more than ${TRASH_DAYS} days)`);
+  }
+
+  return photos.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
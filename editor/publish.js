@@ -0,0 +1,151 @@
+/**
+ * Publish pipeline
+ * A publish runs as a list of steps (build, upload the pages, upload data.json, ...). Each step
+ * that changes something can be undone; if a step fails, what it did so far and the steps before
+ * it are undone in reverse order, so the live site and the local files are left as they were
+ * before the publish.
+ *
+ * Every step has a status the editor shows while publishing:
+ *   waiting → running → done, then undone if a later step failed
+ *   failed (the step that stopped the publish), skipped (not run after a failure),
+ *   undo-failed (a change that could not be put back - check it by hand)
+ * Steps marked optional (saving to the publish history) don't stop the publish when they fail.
+ *
+ * Used by POST /api/publish and scheduled publishes of the editor server.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, rmSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Run steps in order, undoing them if one fails
+ * Rejects with an Error whose steps are the final status of every step, whose message starts
+ * with the failed step's label and error message, and whose status and cause are the failed step's
+ * error (status only if every change was put back).
+ * @param {Array<{ id: string, label: string, run: function(): Promise<string|void>, undo?: function(): Promise, optional?: boolean }>} steps
+ *   run() may resolve to a short detail for the editor, e.g. '5 pages'. undo() must also cope with
+ *   a run() that failed part way.
+ * @param {function(Array<object>): void} [onProgress] - Called with the status of every step whenever one changes
+ * @returns {Promise<Array<{ id: string, label: string, status: string, detail?: string, error?: string }>>}
+ */
+export async function runSteps(steps, onProgress = () => {}) {
+  const status = steps.map(step => ({ id: step.id, label: step.label, status: 'waiting' }));
+  const update = (index, fields) => {
+    Object.assign(status[index], fields);
+    onProgress(status.map(item => ({ ...item })));
+  };
+
+  let failed = null;
+  for (let index = 0; index < steps.length; index++) {
+    if (failed) {
+      update(index, { status: 'skipped' });
+      continue;
+    }
+    update(index, { status: 'running' });
+    try {
+      const detail = await steps[index].run();
+      update(index, { status: 'done', detail: detail || undefined });
+    } catch (error) {
+      console.error(`Publish step "${steps[index].label}" failed:`, error.message);
+      update(index, { status: 'failed', error: error.message });
+      if (!steps[index].optional) failed = { step: steps[index], error };
+    }
+  }
+  if (!failed) return status;
+
+  // Put back what the failed step did so far and what the finished steps changed, last first
+  const undoFailures = [];
+  for (let index = steps.length - 1; index >= 0; index--) {
+    const finished = status[index].status === 'done';
+    if (!(finished || steps[index] === failed.step) || !steps[index].undo) continue;
+    try {
+      await steps[index].undo();
+      if (finished) update(index, { status: 'undone' });
+    } catch (error) {
+      console.error(`Could not undo publish step "${steps[index].label}":`, error.message);
+      update(index, { status: 'undo-failed', error: error.message });
+      undoFailures.push(`${steps[index].label} (${error.message})`);
+    }
+  }
+
+  const message = undoFailures.length === 0
+    ? `${failed.step.label} failed: ${failed.error.message}. Nothing was changed.`
+    : `${failed.step.label} failed: ${failed.error.message}. These steps could not be undone, check them: ${undoFailures.join('; ')}.`;
+  // Keep the status of the step's error (e.g. 409 for a staged file that changed), unless
+  // something could not be put back, which is always a server error
+  const error = new Error(message, { cause: failed.error });
+  throw Object.assign(error, { steps: status, status: undoFailures.length === 0 ? failed.error.status : undefined });
+}
+
+/**
+ * Put back what a step changed, last change first (for a step's undo())
+ * Every restore is run even if one fails, so one file that can't be put back doesn't leave the
+ * others changed; the restores are emptied, so undoing twice does nothing.
+ * @param {Array<function(): Promise|void>} restores - From backUpBlob() and backUpFile()
+ * @returns {Promise} Rejects with an Error naming every restore that failed
+ */
+export async function undoAll(restores) {
+  const failures = [];
+  for (const restore of restores.splice(0).reverse()) {
+    try {
+      await restore();
+    } catch (error) {
+      failures.push(error.message);
+    }
+  }
+  if (failures.length > 0) throw new Error(failures.join('; '));
+}
+
+/**
+ * Remember a file in a container before it is overwritten
+ * @param {object} container - See storage.js
+ * @param {string} name
+ * @returns {Promise<function(): Promise>} Puts the file back as it was, or deletes it if it didn't exist
+ */
+export async function backUpBlob(container, name) {
+  const info = await container.info(name);
+  const previous = info ? { buffer: await container.read(name), info } : null;
+
+  return async () => {
+    try {
+      if (!previous) {
+        await container.delete(name);
+        return;
+      }
+      await container.write(name, previous.buffer, {
+        contentType: previous.info.contentType,
+        cacheControl: previous.info.cacheControl,
+        metadata: previous.info.metadata
+      });
+    } catch (error) {
+      throw new Error(`${name} could not be put back: ${error.message}`);
+    }
+  };
+}
+
+/**
+ * Remember a local file before it is overwritten
+ * @param {string} filePath
+ * @returns {function(): void} Puts the file back as it was, or deletes it if it didn't exist
+ */
+export function backUpFile(filePath) {
+  let previous = null;
+  try {
+    previous = readFileSync(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  return () => {
+    try {
+      if (previous === null) {
+        rmSync(filePath, { force: true });
+        return;
+      }
+      mkdirSync(dirname(filePath), { recursive: true });
+      writeFileSync(filePath, previous);
+    } catch (error) {
+      throw new Error(`${filePath} could not be put back: ${error.message}`);
+    }
+  };
+}
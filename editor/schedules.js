@@ -0,0 +1,180 @@
+/**
+ * Scheduled publishes
+ * A schedule is a named copy of a draft (see drafts.js) and the time to publish it, kept in
+ * scheduled-publishes.json at the repository root so schedules survive restarts:
+ *
+ *   [{ "id": "3f9a1c2e", "name": "Valentine's Day", "publishAt": "2027-02-01T07:00:00.000Z", "draft": "main",
+ *      "status": "pending", "author": "anna", "createdAt": "...", "summary": "Changed hero.title", "data": {...},
+ *      "base": { "at": "...", "data": {...} } }]
+ *
+ * status is pending, publishing while it is being published (it can't be changed or cancelled
+ * then), then published (with the versionId in the publish history), failed (with an error) or
+ * cancelled. Schedules that were due while the editor server was stopped are published as soon
+ * as it starts again; one that was publishing when it stopped is marked failed. base is the
+ * production data the draft started from: if the live site has changed since in ways the schedule
+ * would undo, it fails instead of publishing.
+ *
+ * Used by the /api/schedules routes of the editor server, which publishes due schedules.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { randomBytes } from 'crypto';
+
+export const CHECK_SECONDS = 30;
+
+// Finished schedules kept in the list
+const KEEP_FINISHED = 20;
+
+export function loadSchedules(schedulesPath) {
+  try {
+    return JSON.parse(readFileSync(schedulesPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Could not read ${schedulesPath}:`, error.message);
+    return [];
+  }
+}
+
+// Pending and publishing schedules are never dropped from the list
+const isActive = schedule => schedule.status === 'pending' || schedule.status === 'publishing';
+
+export function saveSchedules(schedulesPath, schedules) {
+  const active = schedules.filter(isActive);
+  const finished = schedules
+    .filter(schedule => !isActive(schedule))
+    .sort((a, b) => (b.finishedAt || '').localeCompare(a.finishedAt || ''))
+    .slice(0, KEEP_FINISHED);
+  writeFileSync(schedulesPath, JSON.stringify(active.concat(finished), null, 2), 'utf8');
+}
+
+/**
+ * Check a schedule's name and time from the editor
+ * @param {{ name?: string, publishAt?: string }} fields
+ * @returns {string|null} What is wrong, or null
+ */
+export function findScheduleProblem({ name, publishAt }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+    return 'name must be 1 to 100 characters';
+  }
+  if (publishAt !== undefined) {
+    const time = new Date(publishAt);
+    if (typeof publishAt !== 'string' || isNaN(time)) return 'publishAt must be a date and time';
+    if (time <= new Date()) return 'publishAt must be in the future';
+  }
+  return null;
+}
+
+/**
+ * A new pending schedule
+ * @param {object} fields
+ * @param {string} fields.name
+ * @param {string} fields.publishAt - ISO date and time
+ * @param {string} fields.draft - Name of the draft it was copied from
+ * @param {object} fields.data - The draft's data to publish
+ * @param {string} fields.author
+ * @param {string} fields.summary - What it changes compared with the live site when it was scheduled
+ * @param {{ at: string, data: object }|null} [fields.base] - The production data the draft started from
+ *   (see drafts.js), to check that nothing went live since that publishing it would undo
+ * @returns {object}
+ */
+export function createSchedule({ name, publishAt, draft, data, author, summary, base = null }) {
+  return {
+    id: randomBytes(4).toString('hex'),
+    name: name.trim(),
+    publishAt: new Date(publishAt).toISOString(),
+    draft,
+    status: 'pending',
+    author,
+    createdAt: new Date().toISOString(),
+    summary,
+    data,
+    base
+  };
+}
+
+/**
+ * Schedules as listed in the editor (without their data and base), pending first by time
+ * @param {Array} schedules
+ * @returns {Array<object>}
+ */
+export function describeSchedules(schedules) {
+  const pending = schedules.filter(schedule => schedule.status === 'pending').sort((a, b) => a.publishAt.localeCompare(b.publishAt));
+  const finished = schedules.filter(schedule => schedule.status !== 'pending');
+  return pending.concat(finished).map(({ data, base, ...schedule }) => schedule);
+}
+
+/**
+ * Publish the schedules that are due, one at a time, recording on each how it went
+ * @param {string} schedulesPath
+ * @param {function(object): Promise<object>} publish - Publishes a schedule; resolves to what to record
+ *   on it ({ versionId }), rejects if publishing failed
+ */
+export async function publishDueSchedules(schedulesPath, publish) {
+  const due = loadSchedules(schedulesPath)
+    .filter(schedule => schedule.status === 'pending' && new Date(schedule.publishAt) <= new Date());
+
+  for (const { id } of due) {
+    // Cancelled or rescheduled while an earlier one was publishing?
+    const before = loadSchedules(schedulesPath);
+    const schedule = before.find(item => item.id === id);
+    if (!schedule || schedule.status !== 'pending' || new Date(schedule.publishAt) > new Date()) continue;
+    // From now on the editor can't reschedule or cancel it
+    schedule.status = 'publishing';
+    saveSchedules(schedulesPath, before);
+
+    let outcome;
+    try {
+      outcome = { status: 'published', ...(await publish(schedule)) };
+      console.log(`✓ Published scheduled draft "${schedule.name}"`);
+    } catch (error) {
+      console.error(`Scheduled publish of "${schedule.name}" failed:`, error.message);
+      outcome = { status: 'failed', error: error.message };
+    }
+
+    // Re-read, since the editor may have changed other schedules meanwhile
+    const schedules = loadSchedules(schedulesPath);
+    const current = schedules.find(item => item.id === schedule.id);
+    if (current && current.status === 'publishing') {
+      Object.assign(current, outcome, { finishedAt: new Date().toISOString() });
+      saveSchedules(schedulesPath, schedules);
+    }
+  }
+}
+
+/**
+ * Check for due schedules every CHECK_SECONDS (and once right away)
+ * @param {string} schedulesPath
+ * @param {function(object): Promise<object>} publish - See publishDueSchedules()
+ * @returns {NodeJS.Timeout} The interval, for clearInterval()
+ */
+export function startScheduler(schedulesPath, publish) {
+  let running = false;
+
+  // Publishing when the editor server stopped: whether it went live is unknown, so it is not retried
+  const interrupted = loadSchedules(schedulesPath);
+  if (interrupted.some(schedule => schedule.status === 'publishing')) {
+    interrupted.filter(schedule => schedule.status === 'publishing').forEach(schedule => {
+      Object.assign(schedule, {
+        status: 'failed',
+        error: 'The editor server stopped while publishing it; check the publish history',
+        finishedAt: new Date().toISOString()
+      });
+    });
+    saveSchedules(schedulesPath, interrupted);
+  }
+
+  const check = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await publishDueSchedules(schedulesPath, publish);
+    } catch (error) {
+      // e.g. the schedules file can't be written; tried again at the next check
+      console.error('Error publishing scheduled drafts:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  check();
+  return setInterval(check, CHECK_SECONDS * 1000);
+}
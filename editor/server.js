@@ -1,13 +1,38 @@
 import express from 'express';
 import cors from 'cors';
-import { BlobServiceClient, BlockBlobClient } from '@azure/storage-blob';
-import { DefaultAzureCredential, ClientSecretCredential } from '@azure/identity';
-import { readFileSync, writeFileSync, readFile } from 'fs';
-import { join, dirname } from 'path';
+import { readFileSync, writeFileSync, readFile, mkdirSync, rmSync, existsSync, mkdtempSync, readdirSync, statSync } from 'fs';
+import { join, dirname, sep } from 'path';
 import { fileURLToPath } from 'url';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { randomBytes, createHash } from 'crypto';
+import { tmpdir } from 'os';
 import dotenv from 'dotenv';
+import { listPages, findPage, renderPage, renderSite } from '../lib/pages.js';
+import { escapeHtml } from '../lib/render.js';
+import { validate, loadSchema } from '../lib/validate.js';
+import { loadManifest, saveManifest, variantName, findPhotoReferences } from '../lib/images.js';
+import { diffData, summarizeDiff, diffLines } from '../lib/diff.js';
+import { removeFingerprints, contentType, cacheControl } from '../lib/assets.js';
+import { processImage } from './images.js';
+import {
+  readPhotoMetadata, toBlobMetadata, validatePhotoMetadata,
+  moveToTrash, restoreFromTrash, listTrash, TRASH_PREFIX, TRASH_DAYS
+} from './photos.js';
+import { receiveUpload, sniffImageType, findSvgProblem, photoName, IMAGE_TYPES } from './uploads.js';
+import { VERSIONS_CONTAINER, isVersionId, saveVersion, listVersions, loadVersion } from './versions.js';
+import { loadHistory, saveHistory, recordEdit, moveInHistory, describeHistory } from './history.js';
+import { MAIN_DRAFT, isDraftName, draftFiles, listDraftNames, loadDraftInfo, setDraftBase, createDraft, deleteDraft, findOutdated, draftUpdatedAt } from './drafts.js';
+import { runSteps, undoAll, backUpBlob, backUpFile } from './publish.js';
+import { loadSchedules, saveSchedules, findScheduleProblem, createSchedule, describeSchedules, startScheduler } from './schedules.js';
+import {
+  ROLES, SESSION_COOKIE, loadUsers, saveUsers, hasRole, findUserProblem, hashPassword, checkLogin,
+  startSession, findSession, endSession, endSessionsOf, isValidCsrfToken, readCookie, sessionCookie
+} from './auth.js';
+import { AUDIT_ACTIONS, auditChanges, recordAudit, readAudit } from './audit.js';
+import { openStorage, LOCAL_STORAGE_URL } from './storage.js';
+import { openTarget } from './targets.js';
+import { loadStaging, saveStaging, describeStaging, readStagedFiles } from './staging.js';
 
 dotenv.config();
 
@@ -16,9 +41,13 @@ const __dirname = dirname(__filename);
 const execAsync = promisify(exec);
 
 const app = express();
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
+// Other sites whose pages may call the API (EDITOR_ALLOWED_ORIGINS in .env, comma-separated);
+// none by default, so only the editor itself can
+const allowedOrigins = (process.env.EDITOR_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: allowedOrigins, credentials: true }));
+// Photos are uploaded as multipart form data (see uploads.js), so JSON bodies are only site data
+app.use(express.json({ limit: '5mb' }));
+app.use(express.urlencoded({ limit: '5mb', extended: true }));
 app.use(express.static('public'));
 
 // Serve static files from parent directory for preview (styles.css, script.js)
@@ -44,51 +73,344 @@ serveStaticFile('/api/styles.css', 'styles.css', 'text/css');
 serveStaticFile('/script.js', 'script.js', 'application/javascript');
 serveStaticFile('/api/script.js', 'script.js', 'application/javascript');
 
-// Azure Storage configuration
-const storageAccountName = process.env.AZURE_STORAGE_ACCOUNT || '';
-const containerName = process.env.AZURE_STORAGE_CONTAINER || '';
-const tenantId = process.env.AZURE_TENANT_ID || '';
-const clientId = process.env.AZURE_CLIENT_ID || '';
-const clientSecret = process.env.AZURE_CLIENT_SECRET || '';
-
-// Initialize Azure Storage client with service principal
-let blobServiceClient;
-
-if (clientId && clientSecret && tenantId) {
-  // Use service principal authentication
-  const credential = new ClientSecretCredential(tenantId, clientId, clientSecret);
-  const accountUrl = `https://${storageAccountName}.blob.core.windows.net`;
-  blobServiceClient = new BlobServiceClient(accountUrl, credential);
-  console.log('✓ Authenticated with service principal');
-} else {
-  // Fallback to DefaultAzureCredential (for local dev with Azure CLI)
-  blobServiceClient = new BlobServiceClient(
-    `https://${storageAccountName}.blob.core.windows.net`,
-    new DefaultAzureCredential()
-  );
-  console.log('✓ Using DefaultAzureCredential (local dev)');
+// Editor accounts (see auth.js)
+const usersPath = join(__dirname, 'users.json');
+if (Object.keys(loadUsers(usersPath)).length === 0) {
+  console.warn('⚠ No editor accounts yet. Create one with: npm run add-user -- <name> admin');
 }
 
-const containerClient = blobServiceClient.getContainerClient(containerName);
-const photosContainerClient = blobServiceClient.getContainerClient('photos');
+// Who did what (see audit.js)
+const auditPath = join(__dirname, 'audit.jsonl');
 
-// Ensure photos container exists
-(async () => {
+// Record an action of the signed-in user in the audit log
+function audit(req, action, details = {}) {
+  recordAudit(auditPath, { actor: req.user.username, action, ...details });
+}
+
+// Audit log fields for changes to site data: the changed paths, a summary and the values before and after
+function dataChanges(before, after) {
+  const changes = diffData(before, after);
+  return { paths: changes.map(change => change.path), summary: summarizeDiff(changes), changes: auditChanges(changes) };
+}
+
+// Every /api route but signing in needs a signed-in user (at least a viewer), and a CSRF token
+// for anything that changes something; routes that need more use allow()
+app.use('/api', (req, res, next) => {
+  if (req.path === '/login') return next();
+
+  const session = findSession(readCookie(req, SESSION_COOKIE));
+  const account = session ? loadUsers(usersPath)[session.username] : null;
+  if (!account) {
+    return res.status(401).json({ error: 'Not signed in', details: 'Sign in to use the editor' });
+  }
+  req.user = { username: session.username, role: account.role };
+  req.editorSession = session;
+  if (!hasRole(req.user, 'viewer')) {
+    return res.status(403).json({ error: 'Not allowed', details: `Unknown role "${account.role}"` });
+  }
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !isValidCsrfToken(session, req.get('X-CSRF-Token'))) {
+    return res.status(403).json({ error: 'Invalid CSRF token', details: 'Reload the editor and try again' });
+  }
+  next();
+});
+
+// Only users with at least this role (see ROLES in auth.js) get through
+function allow(role) {
+  return (req, res, next) => {
+    if (hasRole(req.user, role)) return next();
+    res.status(403).json({ error: 'Not allowed', details: `This needs the ${role} role; ${req.user.username} is a ${req.user.role}` });
+  };
+}
+
+// API: Sign in ({ username, password }), starting a session
+// Only from the editor's own pages or EDITOR_ALLOWED_ORIGINS, so another site can't sign someone in to its own account.
+app.post('/api/login', async (req, res) => {
+  try {
+    const origin = req.get('Origin');
+    if (origin && origin !== `${req.protocol}://${req.get('host')}` && !allowedOrigins.includes(origin)) {
+      return res.status(403).json({ error: 'Not allowed', details: `Signing in from ${origin} is not allowed` });
+    }
+    const { username, password } = req.body || {};
+    let user;
+    try {
+      user = await checkLogin(usersPath, String(username || ''), String(password || ''), req.ip);
+    } catch (error) {
+      recordAudit(auditPath, { actor: String(username || '').slice(0, 40), action: 'session.failed', summary: `From ${req.ip}`, error: error.message });
+      throw error;
+    }
+
+    endSession(readCookie(req, SESSION_COOKIE));
+    const session = startSession(user.username);
+    res.set('Set-Cookie', sessionCookie(session, req.secure));
+    console.log(`✓ ${user.username} signed in`);
+    recordAudit(auditPath, { actor: user.username, action: 'session.login', summary: `From ${req.ip}` });
+    res.json({ user, csrfToken: session.csrfToken, roles: ROLES });
+  } catch (error) {
+    if (!error.status) console.error('Error signing in:', error);
+    res.status(error.status || 500).json({ error: 'Could not sign in', details: error.message });
+  }
+});
+
+// API: Who is signed in, and the CSRF token the editor sends with changes (X-CSRF-Token)
+app.get('/api/session', (req, res) => {
+  res.json({ user: req.user, csrfToken: req.editorSession.csrfToken, roles: ROLES, photosUrl: previewImageBasePath || null });
+});
+
+// API: Sign out
+app.post('/api/logout', (req, res) => {
+  endSession(req.editorSession.id);
+  audit(req, 'session.logout');
+  res.set('Set-Cookie', sessionCookie(null, req.secure));
+  res.json({ success: true });
+});
+
+// Filters of the audit log routes from the query string (see readAudit() in audit.js)
+function auditFilters(query) {
+  const filter = name => (typeof query[name] === 'string' && query[name]) || undefined;
+  return { actor: filter('actor'), action: filter('action'), from: filter('from'), to: filter('to'), q: filter('q') };
+}
+
+// API: Audit log, newest first (admins only)
+// Filtered by ?actor, ?action (e.g. publish, or photo for every photo action), ?from and ?to
+// (ISO times) and ?q (text in the draft, paths, files or summary). Returns the first ?limit
+// entries (200 by default), how many matched, and the accounts and actions to filter by.
+app.get('/api/audit', allow('admin'), async (req, res) => {
+  try {
+    const entries = await readAudit(auditPath, auditFilters(req.query));
+    const limit = Math.max(1, Math.min(Number(req.query.limit) || 200, 1000));
+    res.json({
+      entries: entries.slice(0, limit),
+      total: entries.length,
+      actors: [...new Set((await readAudit(auditPath)).map(entry => entry.actor))].sort(),
+      actions: AUDIT_ACTIONS
+    });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ error: 'Failed to read audit log', details: error.message });
+  }
+});
+
+// API: Download the audit log as JSON Lines, oldest first, with the same filters as GET /api/audit
+app.get('/api/audit/export', allow('admin'), async (req, res) => {
+  try {
+    const entries = (await readAudit(auditPath, auditFilters(req.query))).reverse();
+    res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.jsonl`);
+    res.type('application/x-ndjson');
+    res.send(entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({ error: 'Failed to export audit log', details: error.message });
+  }
+});
+
+// Number of admins besides one user, so the last admin can't be removed or demoted
+function otherAdmins(users, username) {
+  return Object.keys(users).filter(name => name !== username && users[name].role === 'admin').length;
+}
+
+// API: Editor accounts (admins only)
+app.get('/api/users', allow('admin'), (req, res) => {
+  const users = loadUsers(usersPath);
+  res.json(Object.keys(users).sort().map(username => ({
+    username,
+    role: users[username].role,
+    createdAt: users[username].createdAt
+  })));
+});
+
+// API: Add an account ({ username, role, password })
+app.post('/api/users', allow('admin'), async (req, res) => {
+  try {
+    const { username, role, password } = req.body || {};
+    if (!username || !role || !password) {
+      return res.status(400).json({ error: 'Invalid account', details: 'username, role and password are required' });
+    }
+    const problem = findUserProblem({ username, role, password });
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid account', details: problem });
+    }
+    const users = loadUsers(usersPath);
+    if (Object.hasOwn(users, username)) {
+      return res.status(409).json({ error: 'Account exists', details: `There is already an account named "${username}"` });
+    }
+
+    users[username] = { role, password: await hashPassword(password), createdAt: new Date().toISOString() };
+    saveUsers(usersPath, users);
+    console.log(`✓ ${req.user.username} added ${username} (${role})`);
+    audit(req, 'user.add', { summary: `Added ${username} (${role})` });
+    res.json({ success: true, user: { username, role, createdAt: users[username].createdAt } });
+  } catch (error) {
+    console.error('Error adding account:', error);
+    res.status(500).json({ error: 'Failed to add account', details: error.message });
+  }
+});
+
+// API: Change an account's role or password ({ role?, password? })
+// A new password signs the account out everywhere else.
+app.put('/api/users/:username', allow('admin'), async (req, res) => {
   try {
-    await photosContainerClient.createIfNotExists({
-      access: 'blob' // Public read access for images
+    const username = req.params.username;
+    const { role, password } = req.body || {};
+    const problem = findUserProblem({ username, role, password });
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid account', details: problem });
+    }
+    const users = loadUsers(usersPath);
+    if (!Object.hasOwn(users, username)) {
+      return res.status(404).json({ error: 'Account not found', details: `No account named "${username}"` });
+    }
+    if (role && role !== 'admin' && users[username].role === 'admin' && otherAdmins(users, username) === 0) {
+      return res.status(409).json({ error: 'Last admin', details: `${username} is the only admin` });
+    }
+
+    const previousRole = users[username].role;
+    if (role) users[username].role = role;
+    if (password) users[username].password = await hashPassword(password);
+    saveUsers(usersPath, users);
+    if (password) endSessionsOf(username, req.editorSession.id);
+    const changed = [role && `role to ${role}`, password && 'password'].filter(Boolean).join(' and ');
+    console.log(`✓ ${req.user.username} changed the ${changed || 'nothing'} of ${username}`);
+    audit(req, 'user.change', {
+      summary: `Changed the ${changed || 'nothing'} of ${username}`,
+      changes: role ? [{ path: 'role', type: 'changed', before: previousRole, after: role }] : undefined
     });
-    console.log('✓ Photos container ready');
+    res.json({ success: true, user: { username, role: users[username].role, createdAt: users[username].createdAt } });
+  } catch (error) {
+    console.error('Error changing account:', error);
+    res.status(500).json({ error: 'Failed to change account', details: error.message });
+  }
+});
+
+// API: Delete an account, signing it out
+app.delete('/api/users/:username', allow('admin'), (req, res) => {
+  const username = req.params.username;
+  const problem = findUserProblem({ username });
+  if (problem) {
+    return res.status(400).json({ error: 'Invalid account', details: problem });
+  }
+  const users = loadUsers(usersPath);
+  if (!Object.hasOwn(users, username)) {
+    return res.status(404).json({ error: 'Account not found', details: `No account named "${username}"` });
+  }
+  if (username === req.user.username) {
+    return res.status(409).json({ error: 'Cannot delete yourself', details: 'Ask another admin to delete your account' });
+  }
+
+  delete users[username];
+  saveUsers(usersPath, users);
+  endSessionsOf(username);
+  console.log(`✓ ${req.user.username} deleted ${username}`);
+  audit(req, 'user.delete', { summary: `Deleted ${username}` });
+  res.json({ success: true });
+});
+
+// Stop with the problem when storage or deploy settings are missing or wrong
+async function openOrExit(open) {
+  try {
+    return await open();
+  } catch (error) {
+    if (error.code !== 'STORAGE_CONFIG') throw error;
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Storage for photos, the publish history and the site: Azure Blob Storage or a local folder (see storage.js)
+const storage = await openOrExit(() => openStorage(process.env, join(__dirname, 'storage')));
+console.log(`✓ Using ${storage.description}`);
+
+// The site's container ($web for an Azure static website), where publishes go unless DEPLOY_TARGET says otherwise
+const containerName = process.env.AZURE_STORAGE_CONTAINER || (storage.kind === 'local' ? 'site' : '');
+const siteContainer = containerName ? storage.container(containerName) : null;
+const photosContainer = storage.container('photos');
+const versionsContainer = storage.container(VERSIONS_CONTAINER);
+
+// Where publishes and rollbacks put the site (see targets.js)
+const deployStateDir = join(__dirname, 'deploy');
+const deployTarget = await openOrExit(() => openTarget(process.env, {
+  name: 'live',
+  storageContainer: siteContainer,
+  stateDir: deployStateDir
+}));
+console.log(`✓ Publishing to ${deployTarget.description}`);
+
+// Where "Publish to staging" puts the site for review before it is promoted (see staging.js):
+// STAGING_TARGET, set up like DEPLOY_TARGET, else the staging container in storage
+const stagingContainer = storage.container(process.env.STAGING_CONTAINER || 'staging');
+const stagingTarget = await openOrExit(() => openTarget(process.env, {
+  prefix: 'STAGING',
+  name: 'staging',
+  storageContainer: stagingContainer,
+  stateDir: deployStateDir
+}));
+const stagingPath = join(deployStateDir, 'staging.json');
+console.log(`✓ Staging to ${stagingTarget.description}`);
+
+// Files of local containers, as they would be served from Azure (the versions container is private)
+if (storage.kind === 'local') {
+  for (const container of [siteContainer, photosContainer, stagingContainer].filter(Boolean)) {
+    app.use(`${LOCAL_STORAGE_URL}/${container.name}`, express.static(join(storage.dir, container.name)));
+  }
+}
+
+// Address to share for reviewing staging: STAGING_URL, else the staging container when the editor serves it
+const stagingUrl = stagingTarget.url ||
+  (storage.kind === 'local' && stagingTarget.files === stagingContainer ? stagingContainer.url('') : null);
+
+// Where the editor preview gets photos: config.image_base_path, or the local photos container
+const previewImageBasePath = storage.kind === 'local' ? photosContainer.url('') : undefined;
+
+// Ensure the containers exist (photos are public, snapshots are only read through the editor)
+(async () => {
+  try {
+    // Azure makes the container of a static website itself
+    if (storage.kind === 'local' && siteContainer) await siteContainer.create();
+    // The staging container is public so the client can look at it (pages at <container URL>/index.html)
+    if (stagingTarget.files === stagingContainer) await stagingContainer.create({ public: true });
+    await photosContainer.create({ public: true });
+    await versionsContainer.create();
+    console.log('✓ Storage containers ready');
   } catch (error) {
-    console.error('Error ensuring photos container exists:', error);
+    console.error('Error ensuring the storage containers exist:', error.message);
   }
 })();
 
-// Helper function to get nested value from object using dot notation
-function getValue(obj, path) {
-  return path.split('.').reduce((current, prop) => current && current[prop], obj);
+// Drafts of the site data (see drafts.js), each with its own undo history (see history.js)
+// Routes that read or change the preview take ?draft=<name>, the main draft (data-preview.json) by default
+const draftsRoot = join(__dirname, '..');
+
+// Draft named in the request
+function requestDraft(req) {
+  const name = req.query.draft || MAIN_DRAFT;
+  if (!isDraftName(name)) {
+    throw Object.assign(new Error(`"${name}" is not a draft name`), { status: 400 });
+  }
+  return name;
+}
+
+// A draft's data.json as a string; the main draft is created from the live data.json the first time
+async function readDraft(name) {
+  const files = draftFiles(draftsRoot, name);
+  try {
+    return readFileSync(files.data, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    if (name !== MAIN_DRAFT) {
+      throw Object.assign(new Error(`No draft named "${name}"`), { status: 404 });
+    }
+  }
+
+  console.log('data-preview.json not found, creating from data.json...');
+  const dataString = await readLiveData();
+  writeFileSync(files.data, dataString, 'utf8');
+  setDraftBase(draftsRoot, MAIN_DRAFT, JSON.parse(dataString));
+  console.log('Created data-preview.json from the live data.json');
+  return dataString;
 }
 
+// Drafts scheduled to publish later (see schedules.js)
+const schedulesPath = join(__dirname, '..', 'scheduled-publishes.json');
+
 // Helper function to set nested value in object using dot notation
 function setValue(obj, path, value) {
   const keys = path.split('.');
@@ -100,86 +422,6 @@ function setValue(obj, path, value) {
   target[lastKey] = value;
 }
 
-// Build HTML from template and data (same logic as build.js)
-function buildHTML(template, data) {
-  let html = template;
-
-  // Replace simple placeholders like {{site.title}}
-  html = html.replace(/\{\{([^#\/].*?)\}\}/g, (match, key) => {
-    const value = getValue(data, key.trim());
-    return value !== undefined ? value : match;
-  });
-
-  // Handle Handlebars-style loops {{#each array}}...{{/each}}
-  const eachRegex = /\{\{#each\s+([^}]+)\}\}([\s\S]*?)\{\{\/each\}\}/g;
-  let match;
-  while ((match = eachRegex.exec(html)) !== null) {
-    const arrayPath = match[1].trim();
-    const blockTemplate = match[2];
-    const array = getValue(data, arrayPath);
-    
-    if (Array.isArray(array)) {
-      const rendered = array.map(item => {
-        let itemBlock = blockTemplate;
-        // Replace {{this.property}} with item.property
-        itemBlock = itemBlock.replace(/\{\{this\.([^}]+)\}\}/g, (m, prop) => {
-          return item[prop.trim()] || '';
-        });
-        // Replace {{this}} with the item itself (for strings)
-        itemBlock = itemBlock.replace(/\{\{this\}\}/g, () => {
-          return typeof item === 'string' ? item : '';
-        });
-        return itemBlock;
-      }).join('');
-      html = html.replace(match[0], rendered);
-    }
-  }
-
-  // Replace sections with custom HTML if available
-  // Map of section identifiers to data paths
-  const sectionMap = [
-    { id: 'home', class: 'hero', path: 'hero' },
-    { class: 'experience-section', path: 'experience' },
-    { class: 'testimonial-section', path: 'testimonial' },
-    { id: 'about', class: 'about-section', path: 'about' },
-    { id: 'services', class: 'services-section', path: 'services' },
-    { id: 'portfolio', class: 'portfolio-section', path: 'portfolio' },
-    { class: 'standards-section', path: 'standards' },
-    { class: 'location-section', path: 'location' },
-    { id: 'contact', class: 'contact-section', path: 'contact' }
-  ];
-
-  // For each section, check if customHtml exists and replace the inner content
-  sectionMap.forEach(section => {
-    const customHtml = getValue(data, section.path + '.customHtml');
-    
-    if (customHtml) {
-      // Build regex to match the section opening tag
-      let pattern = '<section[^>]*';
-      if (section.id) {
-        pattern += `id="${section.id}"[^>]*`;
-      }
-      if (section.class) {
-        pattern += `class="[^"]*${section.class}[^"]*"[^>]*`;
-      }
-      pattern += '>([\\s\\S]*?)</section>';
-      
-      const sectionRegex = new RegExp(pattern, 'i');
-      const sectionMatch = html.match(sectionRegex);
-      
-      if (sectionMatch) {
-        // Replace the inner content with custom HTML, keeping the opening and closing tags
-        html = html.replace(sectionRegex, (match, innerContent) => {
-          return match.replace(innerContent, customHtml);
-        });
-        console.log(`Using custom HTML for ${section.path} section`);
-      }
-    }
-  });
-
-  return html;
-}
-
 // API: Get original data.json (production version)
 app.get('/api/data/original', async (req, res) => {
   try {
@@ -192,13 +434,10 @@ app.get('/api/data/original', async (req, res) => {
       data = JSON.parse(dataString);
       console.log('Loaded original data.json');
     } catch (localError) {
-      // Fallback to Azure Storage
-      console.log('Local data.json not found, fetching from Azure Storage...');
-      const blobClient = containerClient.getBlobClient('data.json');
-      const downloadResponse = await blobClient.download();
-      const dataString = await streamToString(downloadResponse.readableStreamBody);
-      data = JSON.parse(dataString);
-      console.log('Loaded original data.json from Azure Storage');
+      // Fallback to the live site in storage
+      console.log('Local data.json not found, fetching it from storage...');
+      data = JSON.parse(await readStoredData());
+      console.log('Loaded original data.json from storage');
     }
     
     res.json(data);
@@ -208,69 +447,72 @@ app.get('/api/data/original', async (req, res) => {
   }
 });
 
-// API: Get data-preview.json (or create from data.json if it doesn't exist)
+// API: Get a draft's data (?draft=<name>; data-preview.json is created from data.json if it doesn't exist)
 app.get('/api/data', async (req, res) => {
   try {
-    const previewPath = join(__dirname, '..', 'data-preview.json');
-    const productionPath = join(__dirname, '..', 'data.json');
-    
-    // Try to read data-preview.json first
-    let data;
-    try {
-      const dataString = readFileSync(previewPath, 'utf8');
-      data = JSON.parse(dataString);
-      console.log('Loaded data-preview.json');
-    } catch (previewError) {
-      // If data-preview.json doesn't exist, try to create it from data.json
-      console.log('data-preview.json not found, creating from data.json...');
-      try {
-        // Try local data.json first
-        const dataString = readFileSync(productionPath, 'utf8');
-        data = JSON.parse(dataString);
-        // Create data-preview.json from data.json
-        writeFileSync(previewPath, dataString, 'utf8');
-        console.log('Created data-preview.json from local data.json');
-      } catch (localError) {
-        // Fallback to Azure Storage
-        console.log('Local data.json not found, fetching from Azure Storage...');
-        const blobClient = containerClient.getBlobClient('data.json');
-        const downloadResponse = await blobClient.download();
-        const dataString = await streamToString(downloadResponse.readableStreamBody);
-        data = JSON.parse(dataString);
-        // Create data-preview.json from Azure data.json
-        writeFileSync(previewPath, dataString, 'utf8');
-        console.log('Created data-preview.json from Azure data.json');
-      }
-    }
-    
+    const data = JSON.parse(await readDraft(requestDraft(req)));
     res.json(data);
   } catch (error) {
     console.error('Error fetching data:', error);
-    res.status(500).json({ error: 'Failed to fetch data', details: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to fetch data', details: error.message });
   }
 });
 
-// API: Update data-preview.json (not uploaded to Azure until publish)
-app.put('/api/data', async (req, res) => {
+// API: Update a draft (?draft=<name>; not uploaded to Azure until publish)
+app.put('/api/data', allow('editor'), async (req, res) => {
   try {
     const data = req.body;
+    const draft = requestDraft(req);
+    const files = draftFiles(draftsRoot, draft);
+    if (draft !== MAIN_DRAFT && !existsSync(files.data)) {
+      return res.status(404).json({ error: 'Draft not found', details: `No draft named "${draft}"` });
+    }
+
+    // Reject data that doesn't match data.schema.json, with one error per field
+    const errors = validate(data);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid data',
+        details: errors.map(e => `${e.path}: ${e.message}`).join('; '),
+        errors
+      });
+    }
+
     const dataString = JSON.stringify(data, null, 2);
-    const previewPath = join(__dirname, '..', 'data-preview.json');
+    let previous = null;
+    try {
+      previous = JSON.parse(readFileSync(files.data, 'utf8'));
+    } catch (error) {
+      // First save - nothing to undo to
+    }
+    
+    // Save to the draft only - data.json stays as production version
+    writeFileSync(files.data, dataString, 'utf8');
     
-    // Save to data-preview.json only - data.json stays as production version
-    writeFileSync(previewPath, dataString, 'utf8');
+    // Record the edit for undo/redo
+    const history = loadHistory(files.history);
+    if (previous && recordEdit(history, previous, data)) {
+      saveHistory(files.history, history);
+    }
+    if (!previous || JSON.stringify(previous) !== JSON.stringify(data)) {
+      audit(req, 'data.save', { draft, ...dataChanges(previous || {}, data) });
+    }
     
-    res.json({ success: true, message: 'Data saved to data-preview.json' });
+    res.json({ success: true, message: `Data saved to ${files.file}`, history: describeHistory(history) });
   } catch (error) {
-    console.error('Error saving data-preview.json:', error);
-    res.status(500).json({ error: 'Failed to save data-preview.json', details: error.message });
+    console.error('Error saving draft:', error);
+    res.status(error.status || 500).json({ error: 'Failed to save draft', details: error.message });
   }
 });
 
-// API: Reset data-preview.json to match production data.json
-app.post('/api/data/reset', async (req, res) => {
+// API: Reset a draft (?draft=<name>) to match production data.json
+app.post('/api/data/reset', allow('editor'), async (req, res) => {
   try {
-    const previewPath = join(__dirname, '..', 'data-preview.json');
+    const draft = requestDraft(req);
+    const files = draftFiles(draftsRoot, draft);
+    if (draft !== MAIN_DRAFT && !existsSync(files.data)) {
+      return res.status(404).json({ error: 'Draft not found', details: `No draft named "${draft}"` });
+    }
     const productionPath = join(__dirname, '..', 'data.json');
     let dataString;
     
@@ -279,22 +521,198 @@ app.post('/api/data/reset', async (req, res) => {
       dataString = readFileSync(productionPath, 'utf8');
       console.log('Reset: Using local data.json');
     } catch (localError) {
-      // Fallback to Azure Storage
-      console.log('Reset: Local data.json not found, fetching from Azure Storage...');
-      const blobClient = containerClient.getBlobClient('data.json');
-      const downloadResponse = await blobClient.download();
-      dataString = await streamToString(downloadResponse.readableStreamBody);
-      console.log('Reset: Using Azure Storage data.json');
+      // Fallback to the live site in storage
+      console.log('Reset: Local data.json not found, fetching it from storage...');
+      dataString = await readStoredData();
+      console.log('Reset: Using data.json from storage');
+    }
+    
+    let previous = null;
+    try {
+      previous = JSON.parse(readFileSync(files.data, 'utf8'));
+    } catch (error) {
+      // No preview yet
     }
     
-    // Write to data-preview.json (overwrites any existing preview data)
-    writeFileSync(previewPath, dataString, 'utf8');
-    console.log('Reset: data-preview.json reset to match production');
+    // Write to the draft (overwrites any existing preview data)
+    writeFileSync(files.data, dataString, 'utf8');
+    setDraftBase(draftsRoot, draft, JSON.parse(dataString));
+    console.log(`Reset: ${files.file} reset to match production`);
+    
+    // The reset is one step in the history, so it can be undone
+    const history = loadHistory(files.history);
+    if (previous && recordEdit(history, previous, JSON.parse(dataString), 'Reset to production')) {
+      saveHistory(files.history, history);
+    }
+    audit(req, 'data.reset', { draft, ...dataChanges(previous || {}, JSON.parse(dataString)) });
     
-    res.json({ success: true, message: 'Preview reset to match production' });
+    res.json({ success: true, message: 'Preview reset to match production', history: describeHistory(history) });
   } catch (error) {
     console.error('Error resetting preview:', error);
-    res.status(500).json({ error: 'Failed to reset preview', details: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to reset preview', details: error.message });
+  }
+});
+
+// API: Edit history of a draft (?draft=<name>), newest first
+app.get('/api/history', (req, res) => {
+  try {
+    res.json(describeHistory(loadHistory(draftFiles(draftsRoot, requestDraft(req)).history)));
+  } catch (error) {
+    console.error('Error loading history:', error);
+    res.status(error.status || 500).json({ error: 'Failed to load history', details: error.message });
+  }
+});
+
+// Move the request's draft to a position in its history and respond with the data and history
+function moveHistoryTo(req, res, position) {
+  try {
+    const draft = requestDraft(req);
+    const files = draftFiles(draftsRoot, draft);
+    const history = loadHistory(files.history);
+    const before = JSON.parse(readFileSync(files.data, 'utf8'));
+    const from = history.position;
+    const data = moveInHistory(history, before, position(history));
+    writeFileSync(files.data, JSON.stringify(data, null, 2), 'utf8');
+    saveHistory(files.history, history);
+    if (history.position !== from) {
+      audit(req, history.position < from ? 'data.undo' : 'data.redo', { draft, ...dataChanges(before, data) });
+    }
+    res.json({ success: true, data, history: describeHistory(history) });
+  } catch (error) {
+    console.error('Error moving in history:', error.message);
+    res.status(error.status || 500).json({ error: 'Failed to change the preview', details: error.message });
+  }
+}
+
+// API: Undo the last edit of a draft
+app.post('/api/history/undo', allow('editor'), (req, res) => moveHistoryTo(req, res, history => Math.max(0, history.position - 1)));
+
+// API: Redo the last undone edit
+app.post('/api/history/redo', allow('editor'), (req, res) => moveHistoryTo(req, res, history => Math.min(history.entries.length, history.position + 1)));
+
+// API: Undo or redo to a step of the timeline ({ position } from GET /api/history)
+app.post('/api/history/goto', allow('editor'), (req, res) => moveHistoryTo(req, res, () => Number(req.body.position)));
+
+// API: Drafts, main first, with what each would change on the live site and whether production
+// changed since it was made (outdated: the live changes that publishing it would undo)
+app.get('/api/drafts', async (req, res) => {
+  try {
+    let liveData = null;
+    try {
+      liveData = JSON.parse(await readLiveData());
+    } catch (error) {
+      // Nothing published yet - nothing to compare with
+    }
+
+    const info = loadDraftInfo(draftsRoot);
+    const drafts = [];
+    for (const name of listDraftNames(draftsRoot)) {
+      let data = null;
+      try {
+        data = JSON.parse(await readDraft(name));
+      } catch (error) {
+        console.error(`Could not read draft ${name}:`, error.message);
+        continue;
+      }
+      const draftInfo = info[name] || {};
+      const changes = liveData ? diffData(liveData, data) : [];
+      drafts.push({
+        name,
+        file: draftFiles(draftsRoot, name).file,
+        createdAt: draftInfo.createdAt || null,
+        createdFrom: draftInfo.createdFrom || null,
+        updatedAt: draftUpdatedAt(draftsRoot, name),
+        baseAt: draftInfo.base ? draftInfo.base.at : null,
+        changeCount: changes.length,
+        summary: summarizeDiff(changes),
+        outdated: findOutdated(draftInfo.base, data, liveData).map(change => change.path)
+      });
+    }
+    res.json({ drafts });
+  } catch (error) {
+    console.error('Error listing drafts:', error);
+    res.status(500).json({ error: 'Failed to list drafts', details: error.message });
+  }
+});
+
+// API: New draft ({ name, from? }) - a copy of production, or of the draft named in from
+app.post('/api/drafts', allow('editor'), async (req, res) => {
+  try {
+    const { name, from } = req.body || {};
+    let liveString = '';
+    try {
+      liveString = await readLiveData();
+    } catch (error) {
+      // Nothing published yet
+    }
+
+    let data;
+    let base;
+    if (from) {
+      if (!isDraftName(from)) {
+        return res.status(400).json({ error: 'Invalid draft', details: `"${from}" is not a draft name` });
+      }
+      data = JSON.parse(await readDraft(from));
+      base = loadDraftInfo(draftsRoot)[from]?.base || null;
+    } else {
+      if (!liveString) {
+        return res.status(409).json({ error: 'Nothing published yet', details: 'There is no live data.json to start a draft from' });
+      }
+      data = JSON.parse(liveString);
+      base = { at: new Date().toISOString(), data };
+    }
+
+    createDraft(draftsRoot, name, { data, createdFrom: from || 'production', base });
+    console.log(`✓ Created draft ${name} from ${from ? `draft ${from}` : 'production'}`);
+    audit(req, 'draft.create', { draft: name, summary: `From ${from ? `draft ${from}` : 'production'}` });
+    res.json({ success: true, name });
+  } catch (error) {
+    console.error('Error creating draft:', error.message);
+    res.status(error.status || 500).json({ error: 'Failed to create draft', details: error.message });
+  }
+});
+
+// API: Delete a draft and its undo history (not the main draft)
+app.delete('/api/drafts/:name', allow('editor'), (req, res) => {
+  try {
+    deleteDraft(draftsRoot, req.params.name);
+    console.log(`✓ Deleted draft ${req.params.name}`);
+    audit(req, 'draft.delete', { draft: req.params.name });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting draft:', error.message);
+    res.status(error.status || 500).json({ error: 'Failed to delete draft', details: error.message });
+  }
+});
+
+// API: Get data.schema.json (field types, labels, help text and widgets for the editor forms)
+app.get('/api/schema', (req, res) => {
+  try {
+    res.json(loadSchema());
+  } catch (error) {
+    console.error('Error loading schema:', error);
+    res.status(500).json({ error: 'Failed to load schema', details: error.message });
+  }
+});
+
+// API: List the site's pages (home page first) for the editor's page picker
+app.get('/api/pages', (req, res) => {
+  try {
+    let data = {};
+    try {
+      data = JSON.parse(readFileSync(draftFiles(draftsRoot, requestDraft(req)).data, 'utf8'));
+    } catch (error) {
+      // No preview data yet - titles fall back to page names
+    }
+
+    res.json(listPages(data).map(page => ({
+      name: page.name,
+      title: page.name === 'index' ? 'Home' : (page.title || data.pages?.[page.name]?.title || page.name),
+      output: page.output
+    })));
+  } catch (error) {
+    console.error('Error listing pages:', error);
+    res.status(500).json({ error: 'Failed to list pages', details: error.message });
   }
 });
 
@@ -342,43 +760,18 @@ app.get('/api/google-reviews', async (req, res) => {
 // API: Get preview HTML
 app.get('/api/preview', async (req, res) => {
   try {
-    // Read data-preview.json (from editor changes)
-    const previewPath = join(__dirname, '..', 'data-preview.json');
-    const productionPath = join(__dirname, '..', 'data.json');
-    let data;
-    
-    try {
-      const dataString = readFileSync(previewPath, 'utf8');
-      data = JSON.parse(dataString);
-      console.log('Using data-preview.json for preview');
-    } catch (previewError) {
-      // Fallback to data.json if data-preview.json doesn't exist
-      console.log('data-preview.json not found, trying data.json...');
-      try {
-        const dataString = readFileSync(productionPath, 'utf8');
-        data = JSON.parse(dataString);
-        // Create data-preview.json from data.json
-        writeFileSync(previewPath, dataString, 'utf8');
-        console.log('Created data-preview.json from data.json');
-      } catch (localError) {
-        // Fallback to Azure Storage
-        console.log('Local data.json not found, fetching from Azure Storage...');
-        const blobClient = containerClient.getBlobClient('data.json');
-        const downloadResponse = await blobClient.download();
-        const dataString = await streamToString(downloadResponse.readableStreamBody);
-        data = JSON.parse(dataString);
-        // Create data-preview.json from Azure data.json
-        writeFileSync(previewPath, dataString, 'utf8');
-        console.log('Created data-preview.json from Azure data.json');
-      }
-    }
+    // The draft being edited (?draft=<name>, data-preview.json by default)
+    const data = JSON.parse(await readDraft(requestDraft(req)));
 
-    // Read template from parent directory
-    const templatePath = join(__dirname, '..', 'index.template.html');
-    const template = readFileSync(templatePath, 'utf8');
+    // Page to preview (?page=about or ?page=portfolio/smith-wedding), the home page by default
+    const page = findPage(req.query.page || 'index', data);
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found', details: `No page named "${req.query.page}"` });
+    }
 
-    // Build HTML
-    let html = buildHTML(template, data);
+    // Build HTML (shared renderer, same output as build.js)
+    // Every page is previewed from /api/preview, so links and assets are relative to it
+    let html = renderPage(page, data, { base: '', imageBasePath: previewImageBasePath }).html;
     
     // Get hash from URL if present and scroll to it on load
     const hash = req.url.split('#')[1];
@@ -489,14 +882,13 @@ app.get('/api/preview', async (req, res) => {
                 const items = el.closest('.portfolio-grid') ? el.closest('.portfolio-grid').querySelectorAll('.portfolio-item') : [];
                 const idx = Array.from(items).indexOf(portfolioItem);
                 
-                // Get the image src - prefer data-src (original filename) over src (which may have full URL)
-                const imgSrc = el.getAttribute('data-src') || el.getAttribute('src') || '';
-                // Extract filename from src (handle both full URLs and just filenames)
+                // Extract filename from src (a full URL under config.image_base_path)
+                const imgSrc = el.getAttribute('src') || '';
                 let filename = imgSrc;
                 if (imgSrc.includes('/')) {
                   filename = imgSrc.split('/').pop();
                 }
-                filename = filename.split('?')[0]; // Remove query params
+                filename = decodeURIComponent(filename.split('?')[0]); // Remove query params
                 
                 return {
                   path: \`portfolio.images[\${idx}].src\`,
@@ -507,9 +899,41 @@ app.get('/api/preview', async (req, res) => {
             };
             
             let editMode = false;
+            let fieldErrors = [];
+            
+            // Outline fields the server rejected (sent by the editor after a failed save)
+            function highlightErrors() {
+              document.querySelectorAll('.validation-error').forEach(el => {
+                el.classList.remove('validation-error');
+                el.style.outline = '';
+                el.removeAttribute('title');
+              });
+              fieldErrors.forEach(error => {
+                const selector = '[data-edit-path="' + error.path + '"], [data-image-path="' + error.path + '"]';
+                document.querySelectorAll(selector).forEach(el => {
+                  el.classList.add('validation-error');
+                  el.style.outline = '2px solid #e74c3c';
+                  el.setAttribute('title', error.path + ' ' + error.message);
+                });
+              });
+            }
+            
+            // Undo/redo shortcuts go to the editor, unless an element is being edited
+            // (then the browser undoes the typing)
+            document.addEventListener('keydown', (e) => {
+              if (!(e.ctrlKey || e.metaKey) || e.altKey || !['z', 'Z', 'y'].includes(e.key)) return;
+              if (e.target.closest && e.target.closest('input, textarea, [contenteditable="true"]')) return;
+              e.preventDefault();
+              window.parent.postMessage({ type: 'undoShortcut', key: e.key, shiftKey: e.shiftKey }, '*');
+            });
             
             // Listen for edit mode toggle
             window.addEventListener('message', (e) => {
+              if (e.data.type === 'highlightErrors') {
+                fieldErrors = e.data.errors || [];
+                highlightErrors();
+                return;
+              }
               if (e.data.type === 'toggleEditMode') {
                 editMode = e.data.enabled;
                 if (editMode) {
@@ -650,6 +1074,9 @@ app.get('/api/preview', async (req, res) => {
                 // Add "Edit HTML" buttons to each section
                 addEditHtmlButtons();
                 
+                // Re-apply validation error outlines now that fields have data paths
+                highlightErrors();
+                
                 console.log(\`Made \${editableCount} elements editable\`);
               }
               
@@ -735,7 +1162,8 @@ app.get('/api/preview', async (req, res) => {
                 dropZone.style.cssText = 'position: absolute; top: 0; left: 0; right: 0; bottom: 0; background: rgba(52, 152, 219, 0.1); border: 2px dashed #3498db; display: none; align-items: center; justify-content: center; z-index: 100; pointer-events: none;';
                 dropZone.innerHTML = '<div style="color: #3498db; font-weight: 600;">Drop image here</div>';
                 
-                const container = imgElement.parentElement;
+                // Resized photos are wrapped in <picture>, which takes no space of its own
+                const container = (imgElement.closest('picture') || imgElement).parentElement;
                 if (container && container.style.position !== 'relative') {
                   container.style.position = 'relative';
                 }
@@ -830,24 +1258,13 @@ app.get('/api/preview', async (req, res) => {
               }
               
               function handleImageUpload(file, mapping) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                  const base64 = e.target.result;
-                  
-                  // Generate filename
-                  const timestamp = Date.now();
-                  const ext = file.name.split('.').pop();
-                  const filename = \`portfolio_\${timestamp}.\${ext}\`;
-                  
-                  // Send to parent for upload
-                  window.parent.postMessage({
-                    type: 'imageUpload',
-                    file: base64,
-                    filename: filename,
-                    path: mapping.path
-                  }, '*');
-                };
-                reader.readAsDataURL(file);
+                // Files can be posted as they are; the editor uploads them and names them on the server
+                window.parent.postMessage({
+                  type: 'imageUpload',
+                  file: file,
+                  filename: file.name,
+                  path: mapping.path
+                }, '*');
               }
               
               function deletePortfolioImage(index, filename) {
@@ -924,20 +1341,11 @@ app.get('/api/preview', async (req, res) => {
                   const files = e.dataTransfer.files;
                   if (files.length > 0 && files[0].type.startsWith('image/')) {
                     // Add new portfolio image
-                    const reader = new FileReader();
-                    reader.onload = (event) => {
-                      const base64 = event.target.result;
-                      const timestamp = Date.now();
-                      const ext = files[0].name.split('.').pop();
-                      const filename = 'portfolio_' + timestamp + '.' + ext;
-                      
-                      window.parent.postMessage({
-                        type: 'addPortfolioImage',
-                        file: base64,
-                        filename: filename
-                      }, '*');
-                    };
-                    reader.readAsDataURL(files[0]);
+                    window.parent.postMessage({
+                      type: 'addPortfolioImage',
+                      file: files[0],
+                      filename: files[0].name
+                    }, '*');
                   }
                 });
               }
@@ -1082,122 +1490,850 @@ app.get('/api/preview', async (req, res) => {
     res.send(html);
   } catch (error) {
     console.error('Error generating preview:', error);
-    res.status(500).json({ error: 'Failed to generate preview', details: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to generate preview', details: error.message });
   }
 });
 
-// API: Publish (build and upload)
-app.post('/api/publish', async (req, res) => {
-  try {
-    // Step 1: Copy data-preview.json to data.json (production version)
-    const previewPath = join(__dirname, '..', 'data-preview.json');
-    const productionPath = join(__dirname, '..', 'data.json');
-    
-    let dataString;
-    try {
-      // Read data-preview.json
-      dataString = readFileSync(previewPath, 'utf8');
-      // Copy to data.json (production version)
-      writeFileSync(productionPath, dataString, 'utf8');
-      console.log('✓ Copied data-preview.json to data.json (production)');
-    } catch (error) {
-      console.error('Error copying data-preview.json to data.json:', error);
-      throw new Error(`Failed to copy preview data to production: ${error.message}`);
-    }
-    
-    // Step 2: Upload data.json to Azure Storage
-    try {
-      const blockBlobClient = containerClient.getBlockBlobClient('data.json');
-      const buffer = Buffer.from(dataString, 'utf8');
-      const dataUploadOptions = {
-        blobHTTPHeaders: { blobContentType: 'application/json' },
-        overwrite: true
-      };
-      
-      // Use upload method on BlockBlobClient
-      await blockBlobClient.upload(buffer, buffer.length, dataUploadOptions);
-      console.log('✓ Uploaded data.json to Azure Storage');
-    } catch (uploadError) {
-      console.error('Error uploading data.json:', uploadError);
-      // Continue anyway - might still be able to build
-    }
-
-    // Step 3: Run build.js
-    const buildScriptPath = join(__dirname, '..', 'build.js');
-    const { stdout, stderr } = await execAsync(`node "${buildScriptPath}"`, {
-      cwd: join(__dirname, '..')
-    });
-    
-    if (stderr) {
-      console.error('Build stderr:', stderr);
-    }
-    console.log('Build output:', stdout);
+// data.json of the live site where it was published, as a string
+async function readStoredData() {
+  const buffer = await deployTarget.files.read('data.json');
+  if (!buffer) {
+    throw Object.assign(new Error(`There is no data.json locally or in ${deployTarget.description}`), { status: 404 });
+  }
+  return buffer.toString('utf8');
+}
 
-    // Step 4: Read the generated index.html
-    const indexPath = join(__dirname, '..', 'index.html');
-    const htmlContent = readFileSync(indexPath, 'utf8');
+// Live data.json as a string: the local copy, else the published one
+async function readLiveData() {
+  try {
+    return readFileSync(join(__dirname, '..', 'data.json'), 'utf8');
+  } catch (localError) {
+    return readStoredData();
+  }
+}
 
-    // Step 5: Upload index.html to Azure Storage
-    try {
-      const htmlBlockBlobClient = containerClient.getBlockBlobClient('index.html');
-      const htmlBuffer = Buffer.from(htmlContent, 'utf8');
-      const htmlUploadOptions = {
-        blobHTTPHeaders: { blobContentType: 'text/html' },
-        overwrite: true
-      };
-      
-      // Use upload method on BlockBlobClient
-      await htmlBlockBlobClient.upload(htmlBuffer, htmlBuffer.length, htmlUploadOptions);
-      console.log('✓ Uploaded index.html to Azure Storage');
-    } catch (uploadError) {
-      console.error('Error uploading index.html:', uploadError);
-      throw new Error(`Failed to upload index.html: ${uploadError.message}`);
-    }
+// Upload a file, e.g. about/index.html or data.json, to the live site (or staging),
+// with its content type and caching (see lib/assets.js)
+async function uploadSiteFile(name, content, target = deployTarget) {
+  await target.files.write(name, content, { contentType: contentType(name), cacheControl: cacheControl(name) });
+}
 
-    res.json({ success: true, message: 'Site published successfully' });
-  } catch (error) {
-    console.error('Error publishing:', error);
-    res.status(500).json({ error: 'Failed to publish', details: error.message });
+// Every file on the live site (or staging), to skip uploading files that haven't changed
+async function listSiteFiles(target = deployTarget) {
+  const files = new Map();
+  for await (const file of target.files.list()) {
+    files.set(file.name, file);
   }
-});
+  return files;
+}
 
-// Helper function to convert stream to string
-async function streamToString(readableStream) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    readableStream.on('data', (data) => {
-      chunks.push(data.toString());
-    });
-    readableStream.on('end', () => {
-      resolve(chunks.join(''));
-    });
-    readableStream.on('error', reject);
-  });
+// Whether the target already has this exact file, with the right headers. Listing an S3 target
+// only gives sizes (see targets.js), so its headers are only looked up for files of the same size.
+async function isUnchanged(target, targetFiles, name, buffer) {
+  const listed = targetFiles.get(name);
+  if (!listed || listed.size !== buffer.length) return false;
+  const live = listed.md5 === undefined ? await target.files.info(name) : listed;
+  return Boolean(live) &&
+    live.md5 === createHash('md5').update(buffer).digest('base64') &&
+    live.contentType === contentType(name) &&
+    live.cacheControl === cacheControl(name);
 }
 
-// Helper function to convert stream to buffer
-async function streamToBuffer(readableStream) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    readableStream.on('data', (data) => {
-      chunks.push(data instanceof Buffer ? data : Buffer.from(data));
-    });
-    readableStream.on('end', () => {
-      resolve(Buffer.concat(chunks));
-    });
-    readableStream.on('error', reject);
-  });
+// Files in a folder and its subfolders, as paths relative to it with / (e.g. about/index.html)
+function listFiles(dir) {
+  return readdirSync(dir, { recursive: true })
+    .filter(file => statSync(join(dir, file)).isFile())
+    .map(file => file.split(sep).join('/'))
+    .sort();
+}
+
+// Identifies what was reviewed in GET /api/diff: the preview and the live data it was compared with
+function reviewId(previewString, liveString) {
+  return createHash('sha256').update(previewString).update('\0').update(liveString).digest('hex').slice(0, 16);
+}
+
+// API: What publishing a draft (?draft=<name>) would change - the draft against the live data.json
+// Returns the changed fields (reordered list items as moves), the photos that would appear on or
+// disappear from the site, each page's HTML changes, the live changes made since the draft was
+// started that publishing it would undo (outdated), and the reviewId that POST /api/publish needs.
+app.get('/api/diff', async (req, res) => {
+  try {
+    const draft = requestDraft(req);
+    const previewString = await readDraft(draft);
+    let liveString = '';
+    try {
+      liveString = await readLiveData();
+    } catch (error) {
+      console.log('No live data.json yet, everything is new');
+    }
+    const previewData = JSON.parse(previewString);
+    const liveData = liveString ? JSON.parse(liveString) : {};
+
+    const changes = diffData(liveData, previewData, { moves: true });
+    const livePhotos = Object.keys(findPhotoReferences(liveData));
+    const previewPhotos = Object.keys(findPhotoReferences(previewData));
+
+    // Live pages as last published (the publish history has their exact HTML), else rendered from data.json
+    const versions = await listVersions(versionsContainer).catch(() => []);
+    const lastVersion = versions.length > 0 ? await loadVersion(versionsContainer, versions[0].id) : null;
+    const livePages = lastVersion && JSON.stringify(lastVersion.data) === JSON.stringify(liveData)
+      ? lastVersion.pages
+      : (liveString ? renderSite(liveData, { log: () => {} }).pages : []);
+    const previewPages = renderSite(previewData, { log: () => {} }).pages;
+
+    const outputs = [...new Set(livePages.concat(previewPages).map(page => page.output))];
+    const pages = outputs.map(output => {
+      const livePage = livePages.find(page => page.output === output);
+      const previewPage = previewPages.find(page => page.output === output);
+      const name = (previewPage || livePage).name;
+      if (!livePage) return { name, output, status: 'added' };
+      if (!previewPage) return { name, output, status: 'removed' };
+      // Published pages link to fingerprinted styles and scripts (see lib/assets.js); the preview doesn't
+      const hunks = diffLines(removeFingerprints(livePage.html), removeFingerprints(previewPage.html));
+      return { name, output, status: hunks.length > 0 ? 'changed' : 'unchanged', hunks };
+    });
+
+    const base = loadDraftInfo(draftsRoot)[draft]?.base;
+    const outdated = liveString ? findOutdated(base, previewData, liveData) : [];
+
+    res.json({
+      reviewId: reviewId(previewString, liveString),
+      summary: summarizeDiff(changes),
+      changes,
+      outdated: outdated.length > 0 ? { since: base.at, changes: outdated } : null,
+      photos: {
+        added: previewPhotos.filter(name => !livePhotos.includes(name)),
+        removed: livePhotos.filter(name => !previewPhotos.includes(name))
+      },
+      pages
+    });
+  } catch (error) {
+    console.error('Error comparing preview with production:', error);
+    res.status(error.status || 500).json({ error: 'Failed to compare preview with production', details: error.message });
+  }
+});
+
+// API: A page rendered from the live (?side=live) or draft (?draft=<name>) data, for side-by-side comparison
+// Served from /api like the preview, so styles and photos load the same way, without the edit scripts.
+app.get('/api/compare', async (req, res) => {
+  try {
+    const dataString = req.query.side === 'live'
+      ? await readLiveData()
+      : await readDraft(requestDraft(req));
+    const data = JSON.parse(dataString);
+    const page = findPage(req.query.page || 'index', data);
+    if (!page) {
+      return res.status(404).send(`<p>There is no ${escapeHtml(req.query.page)} page ${req.query.side === 'live' ? 'on the live site' : 'in the preview'}.</p>`);
+    }
+    res.type('text/html').send(renderPage(page, data, { base: '', imageBasePath: previewImageBasePath }).html);
+  } catch (error) {
+    console.error('Error rendering page for comparison:', error);
+    res.status(error.status || 500).send(`<p>Could not render the page: ${escapeHtml(error.message)}</p>`);
+  }
+});
+
+// Publishes run one at a time (the editor and scheduled publishes share data.json and the build)
+let publishQueue = Promise.resolve();
+function whilePublishing(task) {
+  const run = publishQueue.then(task, task);
+  publishQueue = run.catch(() => {});
+  return run;
+}
+
+// Why data can't be published, as { status, body } for the editor's response, or null if it can be
+function findPublishProblem(data) {
+  // Validate against data.schema.json
+  const errors = validate(data);
+  if (errors.length > 0) {
+    return {
+      status: 400,
+      body: { error: 'Invalid data', details: errors.map(e => `${e.path}: ${e.message}`).join('; '), errors }
+    };
+  }
+
+  // Strict check - refuse to publish if any page would have unresolved
+  // placeholders or data no page uses (same check as build.js --strict)
+  const report = renderSite(data, { log: () => {} });
+  if (report.unresolved.length > 0 || report.unusedKeys.length > 0) {
+    return {
+      status: 422,
+      body: {
+        error: 'Strict build failed',
+        details: `${report.unresolved.length} unresolved placeholder(s), ${report.unusedKeys.length} unused data key(s)`,
+        unresolved: report.unresolved,
+        unusedKeys: report.unusedKeys
+      }
+    };
+  }
+  return null;
+}
+
+// Name of a page from where it is built (see lib/pages.js), e.g. 'portfolio/smith-wedding'
+// for portfolio/smith-wedding/index.html
+function pageName(output) {
+  return output === 'index.html' ? 'index' : output.replace(/\/index\.html$/, '');
+}
+
+// Steps of the publish in progress, for GET /api/publish/status
+let publishProgress = { running: false, steps: [] };
+
+/**
+ * Publish data as the live site, or to staging (call inside whilePublishing())
+ * Runs as steps (see publish.js): the site is built in a temporary folder with fingerprinted
+ * styles.css and script.js (see lib/assets.js), then its files are uploaded - assets before the
+ * pages that link to them, skipping files the target already has - then data.json (last, as it
+ * is what the editor and the next build treat as live), then the local data.json and pages are
+ * updated. If a step fails, everything already uploaded or written is put back, and the Error
+ * thrown has the status of each step.
+ *
+ * Promoting staging doesn't build: the files uploaded to staging are read back (see staging.js)
+ * and uploaded as they are. Publishing to staging leaves out the local copy and the publish history.
+ * A rollback doesn't build either: the pages of the version are uploaded as they were published
+ * (so later template changes don't affect them), and pages it didn't have are removed.
+ * @param {object} data - Checked with findPublishProblem()
+ * @param {object} options
+ * @param {string} options.author - For the publish history
+ * @param {string} [options.label] - Put before the change summary in the publish history, e.g. 'Scheduled "Valentine\'s Day"'
+ * @param {object} [options.target] - deployTarget (the live site, by default) or stagingTarget
+ * @param {object} [options.staged] - What is on staging (see staging.js), to promote it instead of building
+ * @param {object} [options.rollbackTo] - A version from the publish history (see versions.js), to put it back instead of building
+ * @returns {Promise<{ pages: string[], removed: string[], files: Array<{ name: string, md5: string }>, version: object|null, steps: Array<object> }>}
+ *   files are everything uploaded or already there; removed are the pages a rollback removed;
+ *   version is null for staging or if it couldn't be saved to the history
+ */
+async function publishSite(data, { author, label, target = deployTarget, staged = null, rollbackTo = null }) {
+  const rootDir = join(__dirname, '..');
+  const toLive = target === deployTarget;
+
+  // What was live before, for the change summary in the publish history
+  let liveData = null;
+  try {
+    liveData = JSON.parse(await readLiveData());
+  } catch (error) {
+    console.log('No live data.json yet, publishing the first version');
+  }
+
+  const buildDir = mkdtempSync(join(tmpdir(), 'publish-'));
+  let pages = [];
+  // Pages a rollback removes, because the version didn't have them
+  let removed = [];
+  // Files to upload, in order, and their contents; data.json is uploaded on its own, last
+  let files = [];
+  let contents = new Map();
+  let dataString = JSON.stringify(data, null, 2);
+  let targetFiles = new Map();
+  let version = null;
+  // What each step changed, as functions that put it back (see publish.js)
+  const restoreFiles = [];
+  const restoreRemoved = [];
+  const restoreData = [];
+  const restoreLocal = [];
+
+  const build = {
+    id: 'build',
+    label: 'Build the site',
+    run: async () => {
+      // Same strict build as `npm run build -- --strict`, in a folder of its own
+      writeFileSync(join(buildDir, 'data.json'), dataString, 'utf8');
+      try {
+        const { stdout } = await execAsync(`node "${join(rootDir, 'build.js')}" --strict --fingerprint --data "${join(buildDir, 'data.json')}" --out "${buildDir}"`, { cwd: rootDir });
+        console.log('Build output:', stdout);
+      } catch (error) {
+        throw new Error(error.stderr ? error.stderr.trim() : error.message);
+      }
+      pages = listPages(data).map(page => page.output);
+      // Everything else built (styles, scripts, ...) before the pages, so no page links to a file that isn't live yet
+      files = listFiles(buildDir)
+        .filter(name => name !== 'data.json')
+        .sort((a, b) => Number(a.endsWith('.html')) - Number(b.endsWith('.html')));
+      files.forEach(name => contents.set(name, readFileSync(join(buildDir, name))));
+      return `${pages.length} page(s), ${files.length - pages.length} other file(s)`;
+    }
+  };
+
+  const readStaged = {
+    id: 'staged',
+    label: 'Check the staged files',
+    run: async () => {
+      contents = await readStagedFiles(stagingTarget, staged);
+      dataString = contents.get('data.json').toString('utf8');
+      contents.delete('data.json');
+      files = [...contents.keys()];
+      pages = staged.pages;
+      return `${files.length + 1} file(s) as staged ${new Date(staged.stagedAt).toLocaleString()}`;
+    }
+  };
+
+  const loadRollback = {
+    id: 'version',
+    label: 'Load the version',
+    run: async () => {
+      pages = rollbackTo.pages.map(page => page.output);
+      files = pages;
+      rollbackTo.pages.forEach(page => contents.set(page.output, Buffer.from(page.html, 'utf8')));
+      // Pages of the live version that this one didn't have (e.g. a gallery added since)
+      const versions = await listVersions(versionsContainer);
+      const live = versions.length > 0 ? await loadVersion(versionsContainer, versions[0].id) : null;
+      removed = live ? live.pages.map(page => page.output).filter(output => !pages.includes(output)) : [];
+      return `${pages.length} page(s) published ${new Date(rollbackTo.publishedAt).toLocaleString()}`;
+    }
+  };
+
+  const steps = [
+    rollbackTo ? loadRollback : staged ? readStaged : build,
+    {
+      id: 'files',
+      label: toLive ? 'Upload the site files' : 'Upload the site files to staging',
+      run: async () => {
+        targetFiles = await listSiteFiles(target);
+        let uploaded = 0;
+        for (const name of files) {
+          const buffer = contents.get(name);
+          if (await isUnchanged(target, targetFiles, name, buffer)) continue;
+          restoreFiles.push(await backUpBlob(target.files, name));
+          await uploadSiteFile(name, buffer, target);
+          uploaded++;
+          console.log(`✓ Uploaded ${name}`);
+        }
+        return `${uploaded} uploaded, ${files.length - uploaded} unchanged`;
+      },
+      undo: () => undoAll(restoreFiles)
+    },
+    ...(rollbackTo ? [{
+      id: 'remove',
+      label: 'Remove pages the version didn\'t have',
+      run: async () => {
+        for (const name of removed.filter(name => targetFiles.has(name))) {
+          restoreRemoved.push(await backUpBlob(target.files, name));
+          await target.files.delete(name);
+          console.log(`✓ Removed ${name}`);
+        }
+        return removed.length > 0 ? removed.join(', ') : 'none';
+      },
+      undo: () => undoAll(restoreRemoved)
+    }] : []),
+    {
+      id: 'data',
+      label: toLive ? 'Upload data.json' : 'Upload data.json to staging',
+      run: async () => {
+        if (await isUnchanged(target, targetFiles, 'data.json', Buffer.from(dataString, 'utf8'))) return 'unchanged';
+        restoreData.push(await backUpBlob(target.files, 'data.json'));
+        await uploadSiteFile('data.json', dataString, target);
+        console.log(`✓ Uploaded data.json to ${target.description}`);
+      },
+      undo: () => undoAll(restoreData)
+    }
+  ];
+
+  if (toLive) {
+    steps.push(
+      {
+        id: 'local',
+        label: 'Update the local copy',
+        run: async () => {
+          // The repository has styles.css and script.js, not their fingerprinted copies
+          for (const name of ['data.json', ...pages]) {
+            const outputPath = join(rootDir, name);
+            restoreLocal.push(backUpFile(outputPath));
+            mkdirSync(dirname(outputPath), { recursive: true });
+            writeFileSync(outputPath, name === 'data.json' ? dataString : removeFingerprints(contents.get(name).toString('utf8')), 'utf8');
+          }
+          for (const name of removed) {
+            restoreLocal.push(backUpFile(join(rootDir, name)));
+            rmSync(join(rootDir, name), { force: true });
+          }
+          console.log('✓ Wrote data.json and the pages (production)');
+        },
+        undo: () => undoAll(restoreLocal)
+      },
+      {
+        id: 'history',
+        label: 'Save to the publish history',
+        optional: true,
+        run: async () => {
+          const summary = liveData ? summarizeDiff(diffData(liveData, data)) : 'First published version';
+          version = await saveVersion(versionsContainer, rollbackTo ? {
+            data,
+            pages: rollbackTo.pages,
+            author,
+            summary: `Rolled back to the version of ${rollbackTo.publishedAt} (${rollbackTo.summary})`,
+            rollbackOf: rollbackTo.id
+          } : {
+            data,
+            // The pages uploaded: when promoting, the ones staged, whatever the pages would be now
+            pages: pages.map(output => ({ name: pageName(output), output, html: contents.get(output).toString('utf8') })),
+            author,
+            summary: label ? `${label}: ${summary}` : summary
+          });
+          console.log(`✓ Saved version ${version.id} (${version.summary})`);
+        }
+      }
+    );
+  }
+
+  publishProgress = { running: true, steps: [] };
+  try {
+    const status = await runSteps(steps, progress => {
+      publishProgress = { running: true, steps: progress };
+    });
+    const uploaded = [...files.map(name => ({ name, buffer: contents.get(name) })), { name: 'data.json', buffer: Buffer.from(dataString, 'utf8') }];
+    return {
+      pages,
+      removed,
+      files: uploaded.map(file => ({ name: file.name, md5: createHash('md5').update(file.buffer).digest('base64') })),
+      version,
+      steps: status
+    };
+  } finally {
+    publishProgress = { ...publishProgress, running: false };
+    rmSync(buildDir, { recursive: true, force: true });
+  }
 }
 
+// API: Steps of the publish in progress (or the last one), polled by the editor while publishing
+app.get('/api/publish/status', (req, res) => {
+  res.json(publishProgress);
+});
+
+// API: Publish a draft (?draft=<name>, the main draft by default): build and upload
+// Each publish is saved to the publish history (see versions.js) so it can be rolled back.
+// Needs the reviewId of GET /api/diff, so only changes someone has looked at are published.
+app.post('/api/publish', allow('publisher'), async (req, res) => {
+  try {
+    const draft = requestDraft(req);
+    await whilePublishing(async () => {
+      const previewString = await readDraft(draft);
+      let liveString = '';
+      try {
+        liveString = await readLiveData();
+      } catch (error) {
+        // Nothing published yet
+      }
+      if (!req.body || req.body.reviewId !== reviewId(previewString, liveString)) {
+        return res.status(409).json({
+          error: 'Review required',
+          details: 'The preview or the live site changed since the changes were reviewed. Review the changes again before publishing.'
+        });
+      }
+
+      const previewData = JSON.parse(previewString);
+      const problem = findPublishProblem(previewData);
+      if (problem) {
+        console.error('Not publishing:', problem.body.details);
+        return res.status(problem.status).json(problem.body);
+      }
+
+      const changes = dataChanges(liveString ? JSON.parse(liveString) : {}, previewData);
+      let published;
+      try {
+        published = await publishSite(previewData, {
+          author: req.user.username,
+          label: draft === MAIN_DRAFT ? undefined : `Draft "${draft}"`
+        });
+      } catch (error) {
+        audit(req, 'publish', { draft, ...changes, error: error.message });
+        throw error;
+      }
+      const { pages, version, steps } = published;
+      audit(req, 'publish', { draft, ...changes, files: pages, versionId: version ? version.id : undefined });
+      setDraftBase(draftsRoot, draft, previewData);
+      res.json({
+        success: true,
+        message: `Site published successfully to ${deployTarget.url || deployTarget.description} (${pages.length} page(s))`,
+        pages,
+        version,
+        steps,
+        warning: version ? undefined : 'The site was published, but could not be saved to the publish history'
+      });
+    });
+  } catch (error) {
+    console.error('Error publishing:', error);
+    res.status(error.status || 500).json({ error: 'Failed to publish', details: error.message, steps: error.steps });
+  }
+});
+
+// API: Publish a draft to staging (?draft=<name>, the main draft by default): the same build as
+// a publish, uploaded to the staging target for review. Needs the reviewId of GET /api/diff.
+app.post('/api/staging', allow('publisher'), async (req, res) => {
+  try {
+    const draft = requestDraft(req);
+    await whilePublishing(async () => {
+      const previewString = await readDraft(draft);
+      let liveString = '';
+      try {
+        liveString = await readLiveData();
+      } catch (error) {
+        // Nothing published yet
+      }
+      if (!req.body || req.body.reviewId !== reviewId(previewString, liveString)) {
+        return res.status(409).json({
+          error: 'Review required',
+          details: 'The preview or the live site changed since the changes were reviewed. Review the changes again before publishing to staging.'
+        });
+      }
+
+      const previewData = JSON.parse(previewString);
+      const problem = findPublishProblem(previewData);
+      if (problem) {
+        console.error('Not publishing to staging:', problem.body.details);
+        return res.status(problem.status).json(problem.body);
+      }
+
+      const changes = dataChanges(liveString ? JSON.parse(liveString) : {}, previewData);
+      let published;
+      try {
+        published = await publishSite(previewData, { author: req.user.username, target: stagingTarget });
+      } catch (error) {
+        audit(req, 'staging.publish', { draft, ...changes, error: error.message });
+        throw error;
+      }
+      const staging = {
+        stagedAt: new Date().toISOString(),
+        author: req.user.username,
+        draft,
+        summary: changes.summary,
+        data: previewData,
+        pages: published.pages,
+        files: published.files
+      };
+      saveStaging(stagingPath, staging);
+      audit(req, 'staging.publish', { draft, ...changes, files: published.pages });
+      res.json({
+        success: true,
+        message: `Published to staging${stagingUrl ? ` at ${stagingUrl}` : ` (${stagingTarget.description})`}`,
+        staging: describeStaging(staging),
+        url: stagingUrl,
+        steps: published.steps
+      });
+    });
+  } catch (error) {
+    console.error('Error publishing to staging:', error);
+    res.status(error.status || 500).json({ error: 'Failed to publish to staging', details: error.message, steps: error.steps });
+  }
+});
+
+// API: What is on staging compared with the live site
+// Returns the staging target and URL, what was staged (by whom, from which draft, when, and if it
+// was promoted), the data.json fields and files promoting would change, whether the draft or the
+// live site changed since, and the reviewId that POST /api/promote needs.
+app.get('/api/staging', async (req, res) => {
+  try {
+    const staging = loadStaging(stagingPath);
+    const result = {
+      target: stagingTarget.description,
+      url: stagingUrl,
+      live: deployTarget.description,
+      staging: describeStaging(staging)
+    };
+    if (!staging) return res.json(result);
+
+    let liveString = '';
+    try {
+      liveString = await readLiveData();
+    } catch (error) {
+      // Nothing published yet
+    }
+    const liveData = liveString ? JSON.parse(liveString) : {};
+    const liveFiles = await listSiteFiles();
+    let draftChanged = false;
+    try {
+      draftChanged = JSON.stringify(JSON.parse(await readDraft(staging.draft))) !== JSON.stringify(staging.data);
+    } catch (error) {
+      // The draft was deleted since
+    }
+
+    res.json({
+      ...result,
+      changes: diffData(liveData, staging.data, { moves: true }),
+      files: staging.files.map(file => ({
+        name: file.name,
+        status: !liveFiles.has(file.name) ? 'added' : liveFiles.get(file.name).md5 === file.md5 ? 'unchanged' : 'changed'
+      })),
+      draftChanged,
+      reviewId: reviewId(JSON.stringify(staging.data), liveString)
+    });
+  } catch (error) {
+    console.error('Error comparing staging with the live site:', error);
+    res.status(500).json({ error: 'Failed to compare staging with the live site', details: error.message });
+  }
+});
+
+// API: Promote staging to the live site: the files on staging are copied to the live site as they
+// are, without building again, then saved to the publish history. Needs the reviewId of GET /api/staging.
+app.post('/api/promote', allow('publisher'), async (req, res) => {
+  try {
+    await whilePublishing(async () => {
+      const staging = loadStaging(stagingPath);
+      if (!staging) {
+        return res.status(404).json({ error: 'Nothing on staging', details: 'Publish a draft to staging first' });
+      }
+      let liveString = '';
+      try {
+        liveString = await readLiveData();
+      } catch (error) {
+        // Nothing published yet
+      }
+      if (!req.body || req.body.reviewId !== reviewId(JSON.stringify(staging.data), liveString)) {
+        return res.status(409).json({
+          error: 'Review required',
+          details: 'Staging or the live site changed since they were compared. Look at the changes again before promoting.'
+        });
+      }
+
+      const changes = dataChanges(liveString ? JSON.parse(liveString) : {}, staging.data);
+      const label = `Promoted from staging (draft "${staging.draft}", staged by ${staging.author})`;
+      let published;
+      try {
+        published = await publishSite(staging.data, { author: req.user.username, label, staged: staging });
+      } catch (error) {
+        audit(req, 'staging.promote', { draft: staging.draft, ...changes, error: error.message });
+        throw error;
+      }
+      const { pages, version, steps } = published;
+      saveStaging(stagingPath, {
+        ...staging,
+        promotedAt: new Date().toISOString(),
+        promotedBy: req.user.username,
+        versionId: version ? version.id : null
+      });
+      audit(req, 'staging.promote', { draft: staging.draft, ...changes, files: pages, versionId: version ? version.id : undefined });
+      if (listDraftNames(draftsRoot).includes(staging.draft)) {
+        setDraftBase(draftsRoot, staging.draft, staging.data);
+      }
+      res.json({
+        success: true,
+        message: `Promoted staging to ${deployTarget.url || deployTarget.description} (${pages.length} page(s))`,
+        pages,
+        version,
+        steps,
+        warning: version ? undefined : 'Staging was promoted, but could not be saved to the publish history'
+      });
+    });
+  } catch (error) {
+    console.error('Error promoting staging:', error);
+    res.status(error.status || 500).json({ error: 'Failed to promote staging', details: error.message, steps: error.steps });
+  }
+});
+
+// API: Publish history, newest first; the first version is the one that is live
+app.get('/api/versions', async (req, res) => {
+  try {
+    const versions = await listVersions(versionsContainer);
+    res.json({ versions, liveId: versions.length > 0 ? versions[0].id : null });
+  } catch (error) {
+    console.error('Error listing versions:', error);
+    res.status(500).json({ error: 'Failed to list versions', details: error.message });
+  }
+});
+
+// API: Differences between two published versions (?from=<id>&to=<id>)
+// Returns the changed data.json fields and which pages were added, removed or changed.
+app.get('/api/versions/diff', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!isVersionId(from || '') || !isVersionId(to || '')) {
+      return res.status(400).json({ error: 'Invalid version', details: 'from and to must be version ids from /api/versions' });
+    }
+
+    const [before, after] = await Promise.all([loadVersion(versionsContainer, from), loadVersion(versionsContainer, to)]);
+    const missing = [[from, before], [to, after]].filter(([, version]) => !version).map(([id]) => id);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Version not found', details: `No version ${missing.join(' or ')}` });
+    }
+
+    const outputs = [...new Set(before.pages.concat(after.pages).map(page => page.output))];
+    const pages = outputs.map(output => {
+      const beforePage = before.pages.find(page => page.output === output);
+      const afterPage = after.pages.find(page => page.output === output);
+      const status = !beforePage ? 'added' : !afterPage ? 'removed' : beforePage.html === afterPage.html ? 'unchanged' : 'changed';
+      return { output, status };
+    });
+
+    const info = ({ data, pages, ...version }) => version;
+    res.json({ from: info(before), to: info(after), changes: diffData(before.data, after.data), pages });
+  } catch (error) {
+    console.error('Error comparing versions:', error);
+    res.status(500).json({ error: 'Failed to compare versions', details: error.message });
+  }
+});
+
+// API: Put an earlier version back live
+// Republishes the version's data.json and the HTML it had (not rebuilt, so later template
+// changes don't affect it), removes pages it didn't have, and records this as a new version.
+// Runs as the steps of a publish (see publishSite()), so a failure part way puts everything back.
+// Its pages link to the fingerprinted styles and scripts they were published with, which publishing never removes.
+// Drafts (data-preview.json and drafts/*.json) are left alone, so work in progress in the editor is kept.
+app.post('/api/versions/:id/rollback', allow('publisher'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!isVersionId(id)) {
+      return res.status(400).json({ error: 'Invalid version', details: `"${id}" is not a version id` });
+    }
+    const version = await loadVersion(versionsContainer, id);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found', details: `No version ${id}` });
+    }
+
+    const summary = `To the version of ${version.publishedAt} (${version.summary})`;
+    let published;
+    try {
+      published = await whilePublishing(() => publishSite(version.data, { author: req.user.username, rollbackTo: version }));
+    } catch (error) {
+      audit(req, 'rollback', { summary, error: error.message });
+      throw error;
+    }
+    const { pages, removed, version: rollback, steps } = published;
+
+    audit(req, 'rollback', {
+      summary,
+      files: pages.concat(removed.map(name => `${name} (removed)`)),
+      versionId: rollback ? rollback.id : undefined
+    });
+    res.json({
+      success: true,
+      message: `Rolled back to the version of ${version.publishedAt}`,
+      pages,
+      removed,
+      version: rollback,
+      steps,
+      warning: rollback ? undefined : 'The version was put back live, but the rollback could not be saved to the publish history'
+    });
+  } catch (error) {
+    console.error('Error rolling back:', error);
+    res.status(error.status || 500).json({ error: 'Failed to roll back', details: error.message, steps: error.steps });
+  }
+});
+
+// API: Scheduled publishes, pending ones first (without their data)
+app.get('/api/schedules', (req, res) => {
+  try {
+    res.json({ schedules: describeSchedules(loadSchedules(schedulesPath)) });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ error: 'Failed to list schedules', details: error.message });
+  }
+});
+
+// API: Schedule a draft (?draft=<name>) as it is now to publish later ({ name, publishAt })
+// The draft is checked like a publish now, and again when it is due.
+app.post('/api/schedules', allow('publisher'), async (req, res) => {
+  try {
+    const { name, publishAt } = req.body || {};
+    const draft = requestDraft(req);
+    const invalid = name === undefined || publishAt === undefined
+      ? 'name and publishAt are required'
+      : findScheduleProblem({ name, publishAt });
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid schedule', details: invalid });
+    }
+
+    const data = JSON.parse(await readDraft(draft));
+    const problem = findPublishProblem(data);
+    if (problem) {
+      return res.status(problem.status).json(problem.body);
+    }
+
+    let liveData = null;
+    try {
+      liveData = JSON.parse(await readLiveData());
+    } catch (error) {
+      // Nothing published yet
+    }
+
+    const schedule = createSchedule({
+      name,
+      publishAt,
+      draft,
+      data,
+      author: req.user.username,
+      summary: liveData ? summarizeDiff(diffData(liveData, data)) : 'First published version',
+      base: loadDraftInfo(draftsRoot)[draft]?.base || null
+    });
+    const schedules = loadSchedules(schedulesPath);
+    schedules.push(schedule);
+    saveSchedules(schedulesPath, schedules);
+    console.log(`✓ Scheduled "${schedule.name}" to publish at ${schedule.publishAt}`);
+    audit(req, 'schedule.create', {
+      draft,
+      ...(liveData ? dataChanges(liveData, data) : {}),
+      summary: `"${schedule.name}" at ${schedule.publishAt}: ${schedule.summary}`
+    });
+
+    res.json({ success: true, schedule: describeSchedules([schedule])[0] });
+  } catch (error) {
+    console.error('Error scheduling publish:', error);
+    res.status(error.status || 500).json({ error: 'Failed to schedule publish', details: error.message });
+  }
+});
+
+// Pending schedule from a URL, or the response for why it can't be changed
+function findPendingSchedule(schedules, id, res) {
+  const schedule = schedules.find(item => item.id === id);
+  if (!schedule) {
+    res.status(404).json({ error: 'Schedule not found', details: `No schedule ${id}` });
+    return null;
+  }
+  if (schedule.status === 'publishing') {
+    res.status(409).json({ error: 'Schedule is publishing', details: `"${schedule.name}" is being published right now` });
+    return null;
+  }
+  if (schedule.status !== 'pending') {
+    res.status(409).json({ error: 'Schedule already finished', details: `"${schedule.name}" was already ${schedule.status}` });
+    return null;
+  }
+  return schedule;
+}
+
+// API: Rename or reschedule a pending schedule ({ name?, publishAt? })
+app.put('/api/schedules/:id', allow('publisher'), (req, res) => {
+  try {
+    const { name, publishAt } = req.body || {};
+    const invalid = findScheduleProblem({ name, publishAt });
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid schedule', details: invalid });
+    }
+
+    const schedules = loadSchedules(schedulesPath);
+    const schedule = findPendingSchedule(schedules, req.params.id, res);
+    if (!schedule) return;
+
+    if (name !== undefined) schedule.name = name.trim();
+    if (publishAt !== undefined) schedule.publishAt = new Date(publishAt).toISOString();
+    saveSchedules(schedulesPath, schedules);
+    console.log(`✓ Rescheduled "${schedule.name}" to ${schedule.publishAt}`);
+    audit(req, 'schedule.update', { draft: schedule.draft, summary: `"${schedule.name}" at ${schedule.publishAt}` });
+
+    res.json({ success: true, schedule: describeSchedules([schedule])[0] });
+  } catch (error) {
+    console.error('Error rescheduling:', error);
+    res.status(500).json({ error: 'Failed to reschedule', details: error.message });
+  }
+});
+
+// API: Cancel a pending schedule
+app.delete('/api/schedules/:id', allow('publisher'), (req, res) => {
+  try {
+    const schedules = loadSchedules(schedulesPath);
+    const schedule = findPendingSchedule(schedules, req.params.id, res);
+    if (!schedule) return;
+
+    Object.assign(schedule, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    saveSchedules(schedulesPath, schedules);
+    console.log(`✓ Cancelled scheduled publish "${schedule.name}"`);
+    audit(req, 'schedule.cancel', { draft: schedule.draft, summary: `"${schedule.name}" (was at ${schedule.publishAt})` });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling schedule:', error);
+    res.status(500).json({ error: 'Failed to cancel schedule', details: error.message });
+  }
+});
+
 // API: List photos from photos container
 app.get('/api/photos', async (req, res) => {
   try {
     // Ensure container exists
     try {
-      const createResponse = await photosContainerClient.createIfNotExists({
-        access: 'blob' // Public read access for images
-      });
-      if (createResponse.succeeded) {
+      if (await photosContainer.create({ public: true })) {
         console.log('✓ Created photos container');
       }
     } catch (createError) {
@@ -1205,29 +2341,31 @@ app.get('/api/photos', async (req, res) => {
       // Continue anyway - container might already exist
     }
 
+    // "Used in" lists are computed from the draft being edited (?draft=<name>)
+    let references = {};
+    try {
+      references = findPhotoReferences(JSON.parse(readFileSync(draftFiles(draftsRoot, requestDraft(req)).data, 'utf8')));
+    } catch (error) {
+      // No preview data yet - nothing is listed as used
+    }
+
     const photos = [];
     let blobCount = 0;
     
     try {
-      // Check if we can access the container
-      const containerExists = await photosContainerClient.exists();
-      if (!containerExists) {
-        throw new Error('Photos container does not exist and could not be created');
-      }
-
-      for await (const blob of photosContainerClient.listBlobsFlat()) {
+      for await (const blob of photosContainer.list()) {
         blobCount++;
-        // Only include image files
+        // Only include image files (resized copies under variants/ belong to their original,
+        // deleted photos under trash/ are listed by /api/photos/trash)
         const name = blob.name.toLowerCase();
-        if (name.match(/\.(jpg|jpeg|png|gif|webp|svg)$/)) {
-          const blobClient = photosContainerClient.getBlobClient(blob.name);
-          const url = blobClient.url;
-          
+        if (name.match(/\.(jpg|jpeg|png|gif|webp|svg)$/) && !name.startsWith('variants/') && !name.startsWith(TRASH_PREFIX)) {
           photos.push({
             name: blob.name,
-            url: url,
-            size: blob.properties.contentLength,
-            lastModified: blob.properties.lastModified
+            url: photosContainer.url(blob.name),
+            size: blob.size,
+            lastModified: blob.lastModified,
+            ...readPhotoMetadata(blob.metadata),
+            usedIn: references[blob.name] || []
           });
         }
       }
@@ -1250,66 +2388,441 @@ app.get('/api/photos', async (req, res) => {
   }
 });
 
+// A name no photo has, in the library or the trash: 'IMG_0210.jpeg', else 'IMG_0210-3f9a2c.jpeg'
+async function uniquePhotoName(name) {
+  const taken = async candidate => (await photosContainer.exists(candidate))
+    || (await photosContainer.exists(TRASH_PREFIX + candidate));
+
+  let candidate = name;
+  while (await taken(candidate)) {
+    candidate = name.replace(/(\.[^.]+)$/, `-${randomBytes(3).toString('hex')}$1`);
+  }
+  return candidate;
+}
+
 // API: Upload photo to photos container
-app.post('/api/photos/upload', async (req, res) => {
+// Multipart form data with a "file" part; a "replace" field overwrites that photo instead of adding a new one.
+// Responds with the photo's name, which differs from the uploaded file name when that was taken.
+app.post('/api/photos/upload', allow('editor'), async (req, res) => {
   try {
-    if (!req.body.file || !req.body.filename) {
-      return res.status(400).json({ error: 'File data and filename required' });
-    }
-
-    const { file, filename } = req.body;
-    // Remove data URL prefix if present
-    const base64Data = file.includes(',') ? file.split(',')[1] : file;
-    const buffer = Buffer.from(base64Data, 'base64');
-
-    // Determine content type from filename
-    const ext = filename.toLowerCase().split('.').pop();
-    const contentTypes = {
-      'jpg': 'image/jpeg',
-      'jpeg': 'image/jpeg',
-      'png': 'image/png',
-      'gif': 'image/gif',
-      'webp': 'image/webp',
-      'svg': 'image/svg+xml'
-    };
-    const contentType = contentTypes[ext] || 'application/octet-stream';
+    const upload = await receiveUpload(req);
 
-    const blockBlobClient = photosContainerClient.getBlockBlobClient(filename);
-    const uploadOptions = {
-      blobHTTPHeaders: { blobContentType: contentType },
-      overwrite: true
-    };
-    
-    // Use upload method on BlockBlobClient
-    await blockBlobClient.upload(buffer, buffer.length, uploadOptions);
+    const type = sniffImageType(upload.buffer);
+    if (!type) {
+      return res.status(415).json({
+        error: 'Unsupported file type',
+        details: `${upload.filename} is not a JPEG, PNG, GIF, WebP, AVIF or SVG image`
+      });
+    }
+    const svgProblem = type === 'svg' && findSvgProblem(upload.buffer);
+    if (svgProblem) {
+      return res.status(415).json({ error: 'Unsafe SVG', details: `${upload.filename} ${svgProblem}` });
+    }
+
+    // A new photo never overwrites another one; replacing is only on request
+    let filename;
+    if (upload.fields.replace) {
+      filename = upload.fields.replace;
+      if (filename.startsWith('variants/') || filename.startsWith(TRASH_PREFIX)) {
+        return res.status(400).json({ error: 'Invalid filename', details: `variants/ and ${TRASH_PREFIX} are reserved for resized copies and deleted photos` });
+      }
+      if (!(await photosContainer.exists(filename))) {
+        return res.status(404).json({ error: 'Photo not found', details: `There is no ${filename} to replace` });
+      }
+      const extension = filename.toLowerCase().split('.').pop();
+      if (!IMAGE_TYPES[type].extensions.includes(extension)) {
+        return res.status(400).json({
+          error: 'Different file type',
+          details: `${filename} can only be replaced with another ${extension.toUpperCase()} file (this is ${IMAGE_TYPES[type].label})`
+        });
+      }
+    } else {
+      filename = await uniquePhotoName(photoName(upload.filename, type));
+    }
+
+    // Strip EXIF/GPS metadata and make the resized variants
+    const processed = await processImage(upload.buffer, filename);
+    const buffer = processed.original;
+    const contentType = IMAGE_TYPES[type].contentType;
+
+    // Replacing a photo keeps its library metadata (alt text, caption, ...)
+    const previous = await photosContainer.info(filename);
+    const metadata = previous ? previous.metadata : {};
+
+    await photosContainer.write(filename, buffer, { contentType, metadata });
+
+    for (const variant of processed.variants) {
+      await photosContainer.write(variant.name, variant.buffer, { contentType: variant.contentType });
+    }
+
+    // Record the variants in photos.json so pages get srcset for this photo
+    const manifest = loadManifest();
+    const focalPoint = manifest[filename] && manifest[filename].focalPoint;
+    if (processed.widths.length > 0) {
+      manifest[filename] = {
+        width: processed.width,
+        height: processed.height,
+        widths: processed.widths,
+        formats: processed.formats
+      };
+    } else {
+      delete manifest[filename];
+    }
+    if (focalPoint) {
+      manifest[filename] = { ...manifest[filename], focalPoint };
+    }
+    saveManifest(manifest);
+    console.log(`✓ Uploaded ${filename} with ${processed.variants.length} resized variant(s)`);
+    // Only photos sharp resizes have a known size; SVGs and GIFs are kept as they are
+    const size = processed.width ? { width: processed.width, height: processed.height } : {};
+    const described = [IMAGE_TYPES[type].label, ...(size.width ? [`${size.width}×${size.height}`] : []), `${processed.variants.length} resized copies`];
+    audit(req, upload.fields.replace ? 'photo.replace' : 'photo.upload', {
+      files: [filename],
+      summary: `${upload.filename} (${described.join(', ')})`
+    });
 
     res.json({ 
       success: true, 
       message: 'Photo uploaded successfully',
-      url: blockBlobClient.url,
-      name: filename
+      url: photosContainer.url(filename),
+      name: filename,
+      ...size,
+      variants: processed.variants.length
     });
   } catch (error) {
-    console.error('Error uploading photo:', error);
-    res.status(500).json({ error: 'Failed to upload photo', details: error.message });
+    console.error('Error uploading photo:', error.message);
+    if (error.status === 413 && !req.complete) {
+      // The rest of the file is not read, so don't reuse the connection
+      res.set('Connection', 'close');
+    }
+    res.status(error.status || 500).json({ error: 'Failed to upload photo', details: error.message });
+  }
+});
+
+// API: Update a photo's library metadata (alt text, caption, tags, credit, focal point)
+app.put('/api/photos/:filename/metadata', allow('editor'), async (req, res) => {
+  try {
+    const filename = req.params.filename;
+    const metadata = req.body;
+
+    const errors = validatePhotoMetadata(metadata);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid photo details',
+        details: errors.map(e => `${e.path}: ${e.message}`).join('; '),
+        errors
+      });
+    }
+
+    const info = await photosContainer.info(filename);
+    if (!info) {
+      return res.status(404).json({ error: 'Photo not found', details: `No photo named "${filename}"` });
+    }
+    const previous = readPhotoMetadata(info.metadata);
+    await photosContainer.setMetadata(filename, toBlobMetadata(metadata));
+    audit(req, 'photo.metadata', { files: [filename], ...dataChanges(previous, readPhotoMetadata(toBlobMetadata(metadata))) });
+
+    // The build needs the focal point, so it is also kept in photos.json
+    const manifest = loadManifest();
+    const entry = { ...manifest[filename] };
+    if (metadata.focalPoint) {
+      entry.focalPoint = { x: metadata.focalPoint.x, y: metadata.focalPoint.y };
+    } else {
+      delete entry.focalPoint;
+    }
+    if (Object.keys(entry).length > 0) {
+      manifest[filename] = entry;
+    } else {
+      delete manifest[filename];
+    }
+    saveManifest(manifest);
+
+    res.json({ success: true, name: filename, ...readPhotoMetadata(toBlobMetadata(metadata)) });
+  } catch (error) {
+    console.error('Error updating photo details:', error);
+    res.status(500).json({ error: 'Failed to update photo details', details: error.message });
   }
 });
 
+// Photo references in every draft (data-preview.json, drafts/*.json) and on the live site (data.json)
+// Returns [{ data: 'data-preview.json', draft: 'main', references: { 'IMG_1291.jpeg': ['about.image.src'] } }, ...]
+// (no draft for data.json)
+async function loadPhotoReferences() {
+  const sources = [
+    ...listDraftNames(draftsRoot).map(name => {
+      const files = draftFiles(draftsRoot, name);
+      return { data: files.file, draft: name, load: () => readFileSync(files.data, 'utf8') };
+    }),
+    {
+      data: 'data.json',
+      load: readLiveData
+    }
+  ];
+
+  const results = [];
+  for (const source of sources) {
+    let data;
+    try {
+      data = JSON.parse(await source.load());
+    } catch (error) {
+      continue; // No such data yet
+    }
+    results.push({ data: source.data, draft: source.draft, references: findPhotoReferences(data) });
+  }
+  return results;
+}
+
+// Where a photo is used: [{ data: 'data.json', path: 'hero.image.src' }, { data: 'data-preview.json', draft: 'main', ... }]
+async function findPhotoUsage(filename) {
+  const usage = [];
+  (await loadPhotoReferences()).forEach(source => {
+    (source.references[filename] || []).forEach(path => usage.push({ data: source.data, draft: source.draft, path }));
+  });
+  return usage;
+}
+
 // API: Delete photo from photos container
-app.delete('/api/photos/:filename', async (req, res) => {
+// Refuses (409) while the photo is used in a draft or production data, unless ?force=true.
+// The photo is moved to the trash, where it can be restored for TRASH_DAYS days.
+app.delete('/api/photos/:filename', allow('editor'), async (req, res) => {
   try {
-    const filename = decodeURIComponent(req.params.filename);
-    const blobClient = photosContainerClient.getBlobClient(filename);
-    await blobClient.delete();
-    res.json({ success: true, message: 'Photo deleted successfully' });
+    const filename = req.params.filename;
+    if (!(await photosContainer.exists(filename))) {
+      return res.status(404).json({ error: 'Photo not found', details: `No photo named "${filename}"` });
+    }
+
+    const usage = await findPhotoUsage(filename);
+    if (usage.length > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        error: 'Photo is in use',
+        details: `${filename} is used in ${usage.map(use => `${use.data}: ${use.path}`).join(', ')}`,
+        usage
+      });
+    }
+
+    const manifest = loadManifest();
+    await moveToTrash(photosContainer, filename, manifest[filename]);
+    if (manifest[filename]) {
+      delete manifest[filename];
+      saveManifest(manifest);
+    }
+    console.log(`✓ Moved ${filename} to the trash${usage.length > 0 ? ` (still used in ${usage.length} place(s))` : ''}`);
+    audit(req, 'photo.delete', {
+      files: [filename],
+      summary: usage.length > 0 ? `Still used in ${usage.map(use => `${use.data}: ${use.path}`).join(', ')}` : 'Moved to the trash'
+    });
+
+    res.json({ success: true, message: `Photo moved to the trash (restorable for ${TRASH_DAYS} days)`, usage });
   } catch (error) {
     console.error('Error deleting photo:', error);
     res.status(500).json({ error: 'Failed to delete photo', details: error.message });
   }
 });
 
+// Photos of the library, not their resized variants or deleted photos
+const isLibraryPhoto = name => !name.startsWith('variants/') && !name.startsWith(TRASH_PREFIX);
+// Photos the photo report can list as unused
+const isReportablePhoto = name => isLibraryPhoto(name) && Boolean(name.toLowerCase().match(/\.(jpg|jpeg|png|gif|webp|svg)$/));
+
+// Every file in the photos container by name
+async function listPhotoBlobs() {
+  const blobs = {};
+  for await (const blob of photosContainer.list()) {
+    blobs[blob.name] = blob;
+  }
+  return blobs;
+}
+
+/**
+ * Names of the photos that nothing uses, as the photo report lists them
+ * @param {object} blobs - From listPhotoBlobs()
+ * @param {Array<object>} sources - From loadPhotoReferences()
+ * @returns {string[]}
+ */
+function findUnusedPhotos(blobs, sources) {
+  const used = new Set(sources.flatMap(source => Object.keys(source.references)));
+  return Object.keys(blobs)
+    .filter(name => isReportablePhoto(name) && !used.has(name));
+}
+
+// API: Photo report - references to photos that don't exist, and photos nothing uses
+app.get('/api/photos/audit', async (req, res) => {
+  try {
+    const manifest = loadManifest();
+    const blobs = await listPhotoBlobs();
+
+    // Broken: referenced in a draft or production data, but not in the photos container
+    const sources = await loadPhotoReferences();
+    const broken = [];
+    sources.forEach(source => {
+      Object.keys(source.references).filter(name => !blobs[name]).forEach(name => {
+        source.references[name].forEach(path => broken.push({
+          filename: name,
+          data: source.data,
+          draft: source.draft,
+          path,
+          inTrash: Boolean(blobs[TRASH_PREFIX + name])
+        }));
+      });
+    });
+
+    // Unused: in the photos container, but referenced by neither; size includes the resized variants
+    const unused = findUnusedPhotos(blobs, sources)
+      .map(name => {
+        const entry = manifest[name];
+        const variants = entry && entry.widths
+          ? entry.widths.flatMap(width => entry.formats.map(format => variantName(name, width, format)))
+          : [];
+        return {
+          name,
+          url: photosContainer.url(name),
+          size: [name, ...variants].reduce((total, blobName) => total + (blobs[blobName] ? blobs[blobName].size : 0), 0),
+          lastModified: blobs[name].lastModified
+        };
+      })
+      .sort((a, b) => b.size - a.size);
+
+    res.json({
+      photoCount: Object.keys(blobs).filter(isLibraryPhoto).length,
+      checked: sources.map(source => source.data),
+      broken,
+      unused,
+      unusedSize: unused.reduce((total, photo) => total + photo.size, 0)
+    });
+  } catch (error) {
+    console.error('Error building photo report:', error);
+    res.status(500).json({ error: 'Failed to build photo report', details: error.message });
+  }
+});
+
+// API: Move unused photos to the trash ({ names: [...] } from the photo report)
+// Only photos the report lists are accepted (400 for variants/, trash/ or other names). Each is
+// checked again, so a photo that became used or was deleted since the report is skipped.
+app.post('/api/photos/cleanup', allow('editor'), async (req, res) => {
+  try {
+    const names = req.body.names;
+    if (!Array.isArray(names) || names.length === 0) {
+      return res.status(400).json({ error: 'Photo names required' });
+    }
+    const invalid = names.filter(name => typeof name !== 'string' || !isReportablePhoto(name));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid photo names',
+        details: `Only photos listed as unused by the photo report can be cleaned up, not ${invalid.map(name => JSON.stringify(name)).join(', ')}`
+      });
+    }
+
+    const unused = new Set(findUnusedPhotos(await listPhotoBlobs(), await loadPhotoReferences()));
+    const manifest = loadManifest();
+    const moved = [];
+    const skipped = [];
+    for (const name of names) {
+      if (!unused.has(name)) {
+        skipped.push(name);
+        continue;
+      }
+      await moveToTrash(photosContainer, name, manifest[name]);
+      if (manifest[name]) {
+        delete manifest[name];
+        saveManifest(manifest);
+      }
+      moved.push(name);
+    }
+    console.log(`✓ Moved ${moved.length} unused photo(s) to the trash`);
+    audit(req, 'photo.cleanup', {
+      files: moved,
+      summary: `Moved ${moved.length} unused photo(s) to the trash${skipped.length > 0 ? `, skipped ${skipped.join(', ')}` : ''}`
+    });
+
+    res.json({ success: true, moved, skipped });
+  } catch (error) {
+    console.error('Error cleaning up photos:', error);
+    res.status(500).json({ error: 'Failed to clean up photos', details: error.message });
+  }
+});
+
+// API: List deleted photos that can still be restored
+app.get('/api/photos/trash', async (req, res) => {
+  try {
+    res.json(await listTrash(photosContainer));
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: 'Failed to list deleted photos', details: error.message });
+  }
+});
+
+// API: Restore a deleted photo
+app.post('/api/photos/trash/:filename/restore', allow('editor'), async (req, res) => {
+  try {
+    const filename = req.params.filename;
+    if (!(await photosContainer.exists(TRASH_PREFIX + filename))) {
+      return res.status(404).json({ error: 'Photo not found', details: `"${filename}" is not in the trash` });
+    }
+    if (await photosContainer.exists(filename)) {
+      return res.status(409).json({
+        error: 'Photo already exists',
+        details: `A photo named "${filename}" was uploaded since it was deleted. Delete or rename that photo first.`
+      });
+    }
+
+    const manifestEntry = await restoreFromTrash(photosContainer, filename);
+    if (manifestEntry) {
+      const manifest = loadManifest();
+      manifest[filename] = manifestEntry;
+      saveManifest(manifest);
+    }
+    console.log(`✓ Restored ${filename} from the trash`);
+    audit(req, 'photo.restore', { files: [filename] });
+
+    res.json({ success: true, message: 'Photo restored', name: filename });
+  } catch (error) {
+    console.error('Error restoring photo:', error);
+    res.status(500).json({ error: 'Failed to restore photo', details: error.message });
+  }
+});
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Editor server running on http://localhost:${PORT}`);
 });
 
+// Publish scheduled drafts when they are due, including ones missed while the server was stopped
+startScheduler(schedulesPath, schedule => whilePublishing(async () => {
+  const problem = findPublishProblem(schedule.data);
+  if (problem) throw new Error(`${problem.body.error}: ${problem.body.details}`);
+  // Something else went live since the draft was started: publishing would change it back
+  let liveData = null;
+  try {
+    liveData = JSON.parse(await readLiveData());
+  } catch (error) {
+    // Nothing published yet
+  }
+  const outdated = findOutdated(schedule.base, schedule.data, liveData);
+  if (outdated.length > 0) {
+    throw new Error(`The live site changed since the draft was started (${outdated.map(change => change.path).join(', ')}). ` +
+      'Bring the draft up to date and schedule it again.');
+  }
+
+  let published;
+  try {
+    published = await publishSite(schedule.data, { author: schedule.author, label: `Scheduled "${schedule.name}"` });
+  } catch (error) {
+    recordAudit(auditPath, { actor: schedule.author, action: 'publish', draft: schedule.draft, summary: `Scheduled "${schedule.name}"`, error: error.message });
+    throw error;
+  }
+  const { pages, version } = published;
+  recordAudit(auditPath, {
+    actor: schedule.author,
+    action: 'publish',
+    draft: schedule.draft,
+    summary: `Scheduled "${schedule.name}": ${schedule.summary}`,
+    files: pages,
+    versionId: version ? version.id : undefined
+  });
+  // The draft now starts from what it made live, like after POST /api/publish
+  const draft = schedule.draft || MAIN_DRAFT;
+  if (listDraftNames(draftsRoot).includes(draft)) {
+    setDraftBase(draftsRoot, draft, schedule.data);
+  }
+  return { versionId: version ? version.id : null };
+}));
@@ -0,0 +1,68 @@
+/**
+ * Staging
+ * A draft can be published to staging first (STAGING_TARGET in editor/.env, see targets.js): the
+ * same full build as a publish, uploaded where the client can look at it. Promoting it then copies
+ * exactly those files to the live site, without building again, so what goes live is what was checked.
+ *
+ * What is on staging is kept in editor/deploy/staging.json:
+ *
+ *   { "stagedAt": "...", "author": "anna", "draft": "main", "summary": "Changed hero.title", "data": {...},
+ *     "pages": ["index.html", "about/index.html"], "files": [{ "name": "about/index.html", "md5": "..." }, ...],
+ *     "promotedAt": "...", "promotedBy": "anna", "versionId": "..." }
+ *
+ * files are everything uploaded, data.json last, with the MD5 each had. promotedAt, promotedBy and
+ * versionId (in the publish history) are only there once it was promoted.
+ *
+ * Used by the /api/staging and /api/promote routes of the editor server.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { createHash } from 'crypto';
+
+export function loadStaging(stagingPath) {
+  try {
+    return JSON.parse(readFileSync(stagingPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Could not read ${stagingPath}:`, error.message);
+    return null;
+  }
+}
+
+export function saveStaging(stagingPath, staging) {
+  mkdirSync(dirname(stagingPath), { recursive: true });
+  writeFileSync(stagingPath, JSON.stringify(staging, null, 2), 'utf8');
+}
+
+/**
+ * What is on staging, for the editor (without its data)
+ * @param {object|null} staging
+ * @returns {object|null}
+ */
+export function describeStaging(staging) {
+  if (!staging) return null;
+  const { data, ...described } = staging;
+  return described;
+}
+
+/**
+ * Read the staged files back from staging, checking that each is still what was staged
+ * Throws an Error whose status is 409 if a file is missing or has changed (e.g. someone uploaded
+ * to the staging bucket by hand), so only exactly what was checked is promoted.
+ * @param {object} target - The staging target (see targets.js)
+ * @param {object} staging - From loadStaging()
+ * @returns {Promise<Map<string, Buffer>>} Contents by name, in the order they were uploaded
+ */
+export async function readStagedFiles(target, staging) {
+  const contents = new Map();
+  for (const file of staging.files) {
+    const buffer = await target.files.read(file.name);
+    if (!buffer || createHash('md5').update(buffer).digest('base64') !== file.md5) {
+      throw Object.assign(new Error(
+        `${file.name} on staging is ${buffer ? 'not what was staged' : 'missing'}, publish to staging again`
+      ), { status: 409 });
+    }
+    contents.set(file.name, buffer);
+  }
+  return contents;
+}
@@ -0,0 +1,329 @@
+/**
+ * Storage
+ * Where the editor keeps the live site, the photo library and the publish history: containers of
+ * named files ("blobs"), in Azure Blob Storage or in a folder on this machine. STORAGE in
+ * editor/.env chooses one:
+ *
+ *   STORAGE=azure   (the default) AZURE_STORAGE_ACCOUNT, plus either a service principal
+ *                   (AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET) or AZURE_AUTH=default
+ *                   to sign in as whoever is logged in to the Azure CLI (DefaultAzureCredential)
+ *   STORAGE=local   STORAGE_DIR, editor/storage/ by default; each container is a folder in it, so
+ *                   the editor works offline and tests can start from a folder of files
+ *
+ * Both give containers with the same methods:
+ *   read(name)                          → Buffer, or null if there is no such file
+ *   write(name, content, { contentType, cacheControl, metadata })
+ *   info(name)                          → { name, size, lastModified, contentType, cacheControl, md5, metadata } or null
+ *   exists(name)                        → boolean
+ *   setMetadata(name, metadata)
+ *   list({ prefix })                    → async iterable of info()
+ *   move(from, to, { metadata })        (metadata replaces the file's, if given)
+ *   delete(name)                        (nothing happens if there is no such file)
+ *   url(name)                           → where browsers get it (only for public containers)
+ *   create({ public })                  creates the container if it doesn't exist
+ * md5 is base64, as Azure reports it. Metadata values must be ASCII (see photos.js and versions.js).
+ *
+ * A local container's files are served by the editor under /storage/<container>/. Their content
+ * type, cache control and metadata are kept next to the containers, in .properties/<container>/<name>.json.
+ *
+ * Used by the editor server, photos.js, versions.js, publish.js and targets.js (folder deploy targets).
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, rmSync, renameSync, statSync, readdirSync } from 'fs';
+import { join, resolve, dirname, basename, sep } from 'path';
+import { createHash } from 'crypto';
+import { contentType as guessContentType } from '../lib/assets.js';
+
+export const STORAGE_KINDS = ['azure', 'local'];
+// URL path the editor serves local containers under
+export const LOCAL_STORAGE_URL = '/storage';
+
+function toBuffer(content) {
+  return Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+}
+
+function md5Of(buffer) {
+  return createHash('md5').update(buffer).digest('base64');
+}
+
+// An Error for settings that are missing or wrong, which stops the editor from starting
+export function configError(message) {
+  return Object.assign(new Error(message), { code: 'STORAGE_CONFIG' });
+}
+
+/**
+ * A container in Azure Blob Storage
+ * @param {ContainerClient} containerClient
+ * @returns {object} A container, with the methods described above
+ */
+export function azureContainer(containerClient) {
+  const blob = name => containerClient.getBlobClient(name);
+  const describe = (name, properties, metadata) => ({
+    name,
+    size: properties.contentLength,
+    lastModified: properties.lastModified,
+    contentType: properties.contentType,
+    cacheControl: properties.cacheControl,
+    md5: properties.contentMD5 ? Buffer.from(properties.contentMD5).toString('base64') : null,
+    metadata: metadata || {}
+  });
+
+  return {
+    name: containerClient.containerName,
+
+    async read(name) {
+      try {
+        return await blob(name).downloadToBuffer();
+      } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async write(name, content, { contentType, cacheControl, metadata } = {}) {
+      const buffer = toBuffer(content);
+      await containerClient.getBlockBlobClient(name).upload(buffer, buffer.length, {
+        blobHTTPHeaders: {
+          blobContentType: contentType || guessContentType(name),
+          blobCacheControl: cacheControl,
+          blobContentMD5: Buffer.from(md5Of(buffer), 'base64')
+        },
+        metadata
+      });
+    },
+
+    async info(name) {
+      try {
+        const properties = await blob(name).getProperties();
+        return describe(name, properties, properties.metadata);
+      } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async exists(name) {
+      return blob(name).exists();
+    },
+
+    async setMetadata(name, metadata) {
+      await blob(name).setMetadata(metadata);
+    },
+
+    async *list({ prefix } = {}) {
+      for await (const item of containerClient.listBlobsFlat({ prefix, includeMetadata: true })) {
+        yield describe(item.name, item.properties, item.metadata);
+      }
+    },
+
+    // Copy to the new name, then delete the original
+    async move(from, to, { metadata } = {}) {
+      const poller = await blob(to).beginCopyFromURL(blob(from).url, metadata ? { metadata } : {});
+      await poller.pollUntilDone();
+      await blob(from).delete();
+    },
+
+    async delete(name) {
+      await blob(name).deleteIfExists();
+    },
+
+    url(name) {
+      return blob(name).url;
+    },
+
+    async create({ public: isPublic = false } = {}) {
+      const response = await containerClient.createIfNotExists(isPublic ? { access: 'blob' } : {});
+      return response.succeeded;
+    }
+  };
+}
+
+/**
+ * A container in a folder on this machine
+ * @param {string} dir - The folder
+ * @param {object} [options]
+ * @param {string} [options.propertiesDir] - Where content types and metadata are kept,
+ *   .properties/<folder name>/ next to the folder by default
+ * @returns {object} A container, with the methods described above
+ */
+export function localContainer(dir, { propertiesDir } = {}) {
+  const root = resolve(dir);
+  const containerName = basename(root);
+  const propertiesRoot = resolve(propertiesDir || join(dirname(root), '.properties', containerName));
+
+  // Path of a file in the container; names can't point outside it
+  const pathOf = (folder, name, suffix = '') => {
+    const filePath = resolve(folder, name + suffix);
+    if (!name || !filePath.startsWith(folder + sep)) {
+      throw Object.assign(new Error(`Invalid file name "${name}"`), { status: 400 });
+    }
+    return filePath;
+  };
+  const readProperties = name => {
+    try {
+      return JSON.parse(readFileSync(pathOf(propertiesRoot, name, '.json'), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  };
+  const writeProperties = (name, properties) => {
+    const propertiesPath = pathOf(propertiesRoot, name, '.json');
+    mkdirSync(dirname(propertiesPath), { recursive: true });
+    writeFileSync(propertiesPath, JSON.stringify(properties, null, 2), 'utf8');
+  };
+
+  const container = {
+    name: containerName,
+
+    async read(name) {
+      try {
+        return readFileSync(pathOf(root, name));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
+        throw error;
+      }
+    },
+
+    async write(name, content, { contentType, cacheControl, metadata } = {}) {
+      const buffer = toBuffer(content);
+      const filePath = pathOf(root, name);
+      mkdirSync(dirname(filePath), { recursive: true });
+      writeFileSync(filePath, buffer);
+      writeProperties(name, {
+        contentType: contentType || guessContentType(name),
+        cacheControl,
+        md5: md5Of(buffer),
+        modifiedAt: statSync(filePath).mtimeMs,
+        metadata: metadata || {}
+      });
+    },
+
+    async info(name) {
+      let stats;
+      try {
+        stats = statSync(pathOf(root, name));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      if (!stats.isFile()) return null;
+      const properties = readProperties(name);
+      return {
+        name,
+        size: stats.size,
+        lastModified: stats.mtime,
+        contentType: properties.contentType || guessContentType(name),
+        cacheControl: properties.cacheControl,
+        // Files copied into the folder (or changed there) by hand since have no MD5 yet
+        md5: properties.md5 && properties.modifiedAt === stats.mtimeMs
+          ? properties.md5
+          : md5Of(readFileSync(pathOf(root, name))),
+        metadata: properties.metadata || {}
+      };
+    },
+
+    async exists(name) {
+      return (await container.info(name)) !== null;
+    },
+
+    async setMetadata(name, metadata) {
+      if (!(await container.exists(name))) {
+        throw Object.assign(new Error(`There is no ${name} in ${containerName}`), { status: 404 });
+      }
+      writeProperties(name, { ...readProperties(name), metadata });
+    },
+
+    async *list({ prefix = '' } = {}) {
+      let names;
+      try {
+        names = readdirSync(root, { recursive: true }).map(name => name.split(sep).join('/'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const name of names.filter(name => name.startsWith(prefix)).sort()) {
+        const info = await container.info(name);
+        if (info) yield info;
+      }
+    },
+
+    async move(from, to, { metadata } = {}) {
+      const properties = readProperties(from);
+      const toPath = pathOf(root, to);
+      mkdirSync(dirname(toPath), { recursive: true });
+      renameSync(pathOf(root, from), toPath);
+      rmSync(pathOf(propertiesRoot, from, '.json'), { force: true });
+      writeProperties(to, { ...properties, metadata: metadata || properties.metadata || {} });
+    },
+
+    async delete(name) {
+      rmSync(pathOf(root, name), { force: true });
+      rmSync(pathOf(propertiesRoot, name, '.json'), { force: true });
+    },
+
+    url(name) {
+      const encoded = name.split('/').map(encodeURIComponent).join('/');
+      return `${LOCAL_STORAGE_URL}/${encodeURIComponent(containerName)}/${encoded}`;
+    },
+
+    async create() {
+      mkdirSync(root, { recursive: true });
+      return true;
+    }
+  };
+  return container;
+}
+
+/**
+ * Open the storage configured in the environment
+ * Rejects with an Error whose code is 'STORAGE_CONFIG' if the configuration is incomplete;
+ * the Azure SDK is only loaded for STORAGE=azure.
+ * @param {object} env - process.env
+ * @param {string} defaultDir - STORAGE_DIR when it isn't set
+ * @returns {Promise<{ kind: string, description: string, dir?: string, container: function(string): object }>}
+ */
+export async function openStorage(env, defaultDir) {
+  const kind = env.STORAGE || 'azure';
+  if (!STORAGE_KINDS.includes(kind)) {
+    throw configError(`STORAGE must be one of ${STORAGE_KINDS.join(', ')} (it is "${kind}")`);
+  }
+
+  if (kind === 'local') {
+    const dir = resolve(env.STORAGE_DIR || defaultDir);
+    mkdirSync(dir, { recursive: true });
+    return {
+      kind,
+      dir,
+      description: `local folder ${dir}`,
+      container: name => localContainer(join(dir, name))
+    };
+  }
+
+  if (!env.AZURE_STORAGE_ACCOUNT) {
+    throw configError('AZURE_STORAGE_ACCOUNT is not set (or set STORAGE=local to keep everything in a local folder)');
+  }
+  const { BlobServiceClient } = await import('@azure/storage-blob');
+  const { ClientSecretCredential, DefaultAzureCredential } = await import('@azure/identity');
+
+  let credential;
+  let signedInAs;
+  if (env.AZURE_TENANT_ID && env.AZURE_CLIENT_ID && env.AZURE_CLIENT_SECRET) {
+    credential = new ClientSecretCredential(env.AZURE_TENANT_ID, env.AZURE_CLIENT_ID, env.AZURE_CLIENT_SECRET);
+    signedInAs = 'service principal';
+  } else if (env.AZURE_AUTH === 'default') {
+    credential = new DefaultAzureCredential();
+    signedInAs = 'DefaultAzureCredential (Azure CLI, managed identity, ...)';
+  } else {
+    throw configError(
+      'No Azure credentials: set AZURE_TENANT_ID, AZURE_CLIENT_ID and AZURE_CLIENT_SECRET, ' +
+      'or AZURE_AUTH=default to use your Azure CLI login, or STORAGE=local to work offline'
+    );
+  }
+
+  const serviceClient = new BlobServiceClient(`https://${env.AZURE_STORAGE_ACCOUNT}.blob.core.windows.net`, credential);
+  return {
+    kind,
+    description: `Azure Storage account ${env.AZURE_STORAGE_ACCOUNT} (${signedInAs})`,
+    container: name => azureContainer(serviceClient.getContainerClient(name))
+  };
+}
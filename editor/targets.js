@@ -0,0 +1,233 @@
+/**
+ * Deploy targets
+ * Where a publish puts the built site, chosen with DEPLOY_TARGET in editor/.env, so each
+ * environment (a laptop, a test server, production) can publish somewhere else:
+ *
+ *   DEPLOY_TARGET=storage  (the default) the site container of the editor's storage (see storage.js):
+ *                          AZURE_STORAGE_CONTAINER ($web) in Azure, or storage/site with STORAGE=local
+ *   DEPLOY_TARGET=s3       a bucket in S3 or S3-compatible storage (MinIO, Cloudflare R2, ...):
+ *                          DEPLOY_S3_BUCKET, DEPLOY_S3_REGION, DEPLOY_S3_ENDPOINT (not for AWS itself),
+ *                          DEPLOY_S3_PREFIX (a folder in the bucket, optional), and
+ *                          DEPLOY_S3_ACCESS_KEY_ID plus DEPLOY_S3_SECRET_ACCESS_KEY, or DEPLOY_S3_AUTH=default
+ *                          for the AWS SDK's own credentials (environment, ~/.aws, instance role)
+ *   DEPLOY_TARGET=rsync    a folder on a web server, over SSH: DEPLOY_RSYNC_DEST (deploy@host:/var/www/site),
+ *                          DEPLOY_RSYNC_SSH (the ssh command, optional, e.g. "ssh -p 2222 -i /keys/deploy")
+ *   DEPLOY_TARGET=folder   a folder on this machine, e.g. one a web server serves: DEPLOY_FOLDER
+ *
+ *   DEPLOY_URL             where visitors see the site (optional), shown by the editor after a publish
+ *
+ * A target has the methods of a storage container that publishing and rollback use - read, write,
+ * info, exists, list and delete - so they back up, compare and upload files the same way whichever
+ * target it is (listing an S3 target only gives names, sizes and times; info() has the headers).
+ * What rsync and folder targets can't keep with a file (content type, cache control, MD5) is kept
+ * in editor/deploy/<target>/; rsync targets also keep a copy of what they uploaded there, so the
+ * server's folder should only be changed by publishing.
+ *
+ * Used by the publish and rollback routes of the editor server.
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { localContainer, configError } from './storage.js';
+
+export const TARGET_KINDS = ['storage', 's3', 'rsync', 'folder'];
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * A bucket (or a folder in one) in S3-compatible storage
+ * @param {S3Client} client
+ * @param {object} commands - The command classes of @aws-sdk/client-s3
+ * @param {string} bucket
+ * @param {string} [prefix] - e.g. 'site/'
+ * @returns {object} A target, with the methods of a storage container
+ */
+function s3Container(client, commands, bucket, prefix = '') {
+  const { GetObjectCommand, PutObjectCommand, HeadObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = commands;
+  const isMissing = error => error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+  const container = {
+    name: `${bucket}/${prefix}`,
+
+    async read(name) {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: prefix + name }));
+        return Buffer.from(await response.Body.transformToByteArray());
+      } catch (error) {
+        if (isMissing(error)) return null;
+        throw error;
+      }
+    },
+
+    async write(name, content, { contentType, cacheControl, metadata } = {}) {
+      const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+      const md5 = createHash('md5').update(buffer).digest('base64');
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: prefix + name,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: cacheControl,
+        ContentMD5: md5,
+        // The ETag of a file uploaded in one piece is its MD5, but not with every server or encryption
+        Metadata: { ...metadata, md5 }
+      }));
+    },
+
+    async info(name) {
+      try {
+        const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: prefix + name }));
+        const { md5, ...metadata } = response.Metadata || {};
+        return {
+          name,
+          size: response.ContentLength,
+          lastModified: response.LastModified,
+          contentType: response.ContentType,
+          cacheControl: response.CacheControl,
+          md5: md5 || null,
+          metadata
+        };
+      } catch (error) {
+        if (isMissing(error)) return null;
+        throw error;
+      }
+    },
+
+    async exists(name) {
+      return (await container.info(name)) !== null;
+    },
+
+    // Listing doesn't return headers or metadata, only each file's size and time; info() has the rest
+    async *list({ prefix: namePrefix = '' } = {}) {
+      let ContinuationToken;
+      do {
+        const response = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix + namePrefix, ContinuationToken }));
+        for (const item of response.Contents || []) {
+          yield { name: item.Key.slice(prefix.length), size: item.Size, lastModified: item.LastModified };
+        }
+        ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+
+    async delete(name) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: prefix + name }));
+    }
+  };
+  return container;
+}
+
+/**
+ * A folder on another machine, kept in step with a copy on this one with rsync over SSH
+ * Each file written or deleted is copied or deleted there at once; read, info and list use the copy.
+ * @param {string} copyDir - The copy on this machine
+ * @param {string} propertiesDir
+ * @param {string} dest - rsync destination, e.g. deploy@example.com:/var/www/site
+ * @param {string} [ssh] - ssh command for rsync -e
+ * @returns {object} A target, with the methods of a storage container
+ */
+function rsyncContainer(copyDir, propertiesDir, dest, ssh) {
+  const copy = localContainer(copyDir, { propertiesDir });
+  const rsync = async args => {
+    try {
+      await execFileAsync('rsync', [...(ssh ? ['-e', ssh] : []), ...args]);
+    } catch (error) {
+      throw new Error(`rsync to ${dest} failed: ${error.stderr ? error.stderr.trim() : error.message}`);
+    }
+  };
+  // /./ makes rsync create the file's folders on the server (--relative)
+  const source = name => `${copyDir}/./${name}`;
+
+  return {
+    ...copy,
+    name: dest,
+
+    async write(name, content, options) {
+      await copy.write(name, content, options);
+      await rsync(['--relative', '--times', '--perms', '--chmod=D755,F644', source(name), `${dest}/`]);
+    },
+
+    async delete(name) {
+      await copy.delete(name);
+      await rsync(['--relative', '--delete-missing-args', source(name), `${dest}/`]);
+    }
+  };
+}
+
+/**
+ * Open a deploy target configured in the environment
+ * Rejects with an Error whose code is 'STORAGE_CONFIG' if the configuration is incomplete;
+ * the AWS SDK is only loaded for s3 targets.
+ * @param {object} env - process.env
+ * @param {object} options
+ * @param {string} [options.prefix] - Prefix of the settings, 'DEPLOY' for DEPLOY_TARGET, DEPLOY_S3_BUCKET, ...
+ * @param {string} options.name - Name of the target, for its folder in stateDir
+ * @param {object} options.storageContainer - The target for DEPLOY_TARGET=storage
+ * @param {string} options.stateDir - editor/deploy
+ * @returns {Promise<{ kind: string, description: string, url: string|null, files: object }>}
+ */
+export async function openTarget(env, { prefix = 'DEPLOY', name, storageContainer, stateDir }) {
+  const setting = key => env[`${prefix}_${key}`] || '';
+  const kind = setting('TARGET') || 'storage';
+  const url = setting('URL') || null;
+  const propertiesDir = join(stateDir, name, 'properties');
+  const needs = (...keys) => {
+    const missing = keys.map(key => `${prefix}_${key}`).filter(key => !env[key]);
+    if (missing.length > 0) throw configError(`${prefix}_TARGET=${kind} needs ${missing.join(', ')}`);
+  };
+
+  if (kind === 'storage') {
+    if (!storageContainer) throw configError(`${prefix}_TARGET=storage needs AZURE_STORAGE_CONTAINER, the site's container`);
+    return { kind, description: `the ${storageContainer.name} container`, url, files: storageContainer };
+  }
+
+  if (kind === 'folder') {
+    needs('FOLDER');
+    return { kind, description: `the folder ${setting('FOLDER')}`, url, files: localContainer(setting('FOLDER'), { propertiesDir }) };
+  }
+
+  if (kind === 'rsync') {
+    needs('RSYNC_DEST');
+    try {
+      await execFileAsync('rsync', ['--version']);
+    } catch (error) {
+      throw configError(`${prefix}_TARGET=rsync needs rsync, which is not installed here`);
+    }
+    const dest = setting('RSYNC_DEST').replace(/\/+$/, '');
+    return {
+      kind,
+      description: dest,
+      url,
+      files: rsyncContainer(join(stateDir, name, 'copy'), propertiesDir, dest, setting('RSYNC_SSH'))
+    };
+  }
+
+  if (kind === 's3') {
+    needs('S3_BUCKET');
+    let credentials;
+    if (setting('S3_ACCESS_KEY_ID') && setting('S3_SECRET_ACCESS_KEY')) {
+      credentials = { accessKeyId: setting('S3_ACCESS_KEY_ID'), secretAccessKey: setting('S3_SECRET_ACCESS_KEY') };
+    } else if (setting('S3_AUTH') !== 'default') {
+      throw configError(`${prefix}_TARGET=s3 needs ${prefix}_S3_ACCESS_KEY_ID and ${prefix}_S3_SECRET_ACCESS_KEY, or ${prefix}_S3_AUTH=default`);
+    }
+    const commands = await import('@aws-sdk/client-s3');
+    const client = new commands.S3Client({
+      region: setting('S3_REGION') || 'us-east-1',
+      endpoint: setting('S3_ENDPOINT') || undefined,
+      // MinIO and most other S3-compatible servers want the bucket in the path, not the host name
+      forcePathStyle: Boolean(setting('S3_ENDPOINT')),
+      credentials
+    });
+    const bucketPrefix = setting('S3_PREFIX').replace(/^\/+|\/+$/g, '');
+    return {
+      kind,
+      description: `the S3 bucket ${setting('S3_BUCKET')}${bucketPrefix ? `/${bucketPrefix}` : ''}${setting('S3_ENDPOINT') ? ` at ${setting('S3_ENDPOINT')}` : ''}`,
+      url,
+      files: s3Container(client, commands, setting('S3_BUCKET'), bucketPrefix ? `${bucketPrefix}/` : '')
+    };
+  }
+
+  throw configError(`${prefix}_TARGET must be one of ${TARGET_KINDS.join(', ')} (it is "${kind}")`);
+}
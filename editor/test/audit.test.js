@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { recordAudit, readAudit } from '../audit.js';
+import { startEditor, editAndPublish, USERNAME } from './editor-server.js';
+
+test('entries recorded at once are all written, one line each, in order', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'audit-test-'));
+  try {
+    const auditPath = join(dir, 'audit.jsonl');
+    for (let index = 0; index < 50; index++) {
+      recordAudit(auditPath, { actor: 'anna', action: 'data.save', summary: `Edit ${index}` });
+    }
+    // Read without waiting: readAudit() waits for the entries still being written
+    const entries = await readAudit(auditPath);
+    assert.strictEqual(entries.length, 50);
+    assert.deepStrictEqual(entries.map(entry => entry.summary), Array.from({ length: 50 }, (_, index) => `Edit ${49 - index}`));
+    assert.strictEqual(readFileSync(auditPath, 'utf8').trim().split('\n').length, 50);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('saving, publishing and rolling back are in the audit log', async t => {
+  const editor = await startEditor();
+  t.after(() => editor.stop());
+
+  const first = await editAndPublish(editor, data => { data.hero.title = 'Audited'; });
+  assert.strictEqual(first.status, 200, JSON.stringify(first.body));
+  const { body: { entries: [published] } } = await editor.request('GET', '/api/audit?action=publish');
+  const second = await editAndPublish(editor, data => { data.hero.title = 'Audited again'; });
+  assert.strictEqual(second.status, 200, JSON.stringify(second.body));
+  const rollback = await editor.request('POST', `/api/versions/${first.body.version.id}/rollback`);
+  assert.strictEqual(rollback.status, 200, JSON.stringify(rollback.body));
+
+  const { status, body } = await editor.request('GET', '/api/audit');
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(
+    body.entries.map(entry => entry.action).filter(action => action !== 'session.login'),
+    ['rollback', 'publish', 'data.save', 'publish', 'data.save']
+  );
+  const saved = body.entries.find(entry => entry.action === 'data.save');
+  assert.strictEqual(saved.actor, USERNAME);
+  assert.deepStrictEqual(saved.paths, ['hero.title']);
+  assert.deepStrictEqual(saved.changes, [{ path: 'hero.title', type: 'changed', before: 'Audited', after: 'Audited again' }]);
+  assert.strictEqual(body.entries[0].versionId, rollback.body.version.id);
+
+  const byAction = await editor.request('GET', '/api/audit?action=publish');
+  assert.deepStrictEqual(byAction.body.entries.map(entry => entry.action), ['publish', 'publish']);
+  assert.strictEqual((await editor.request('GET', `/api/audit?actor=${USERNAME}`)).body.total, body.total);
+  assert.strictEqual((await editor.request('GET', '/api/audit?actor=someone-else')).body.total, 0);
+  const since = await editor.request('GET', `/api/audit?from=${encodeURIComponent(published.at)}`);
+  assert.deepStrictEqual(since.body.entries.map(entry => entry.action), ['rollback', 'publish', 'data.save', 'publish']);
+
+  const exported = await editor.request('GET', '/api/audit/export?action=publish');
+  assert.strictEqual(exported.status, 200);
+  assert.match(exported.headers.get('content-type'), /^application\/x-ndjson/);
+  assert.match(exported.headers.get('content-disposition'), /attachment; filename="audit-\d{4}-\d{2}-\d{2}\.jsonl"/);
+  const lines = exported.body.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(lines.map(entry => entry.versionId), [first.body.version.id, second.body.version.id]);
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { startEditor, signIn, USERNAME, PASSWORD } from './editor-server.js';
+
+const VIEWER = 'viewer';
+const VIEWER_PASSWORD = 'viewer-test-password';
+
+function login(editor, username, password, headers = {}) {
+  return fetch(`${editor.url}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ username, password })
+  });
+}
+
+test('the editor needs a session, the right role and a CSRF token', async t => {
+  const editor = await startEditor();
+  t.after(() => editor.stop());
+
+  await t.test('without a session the API answers 401', async () => {
+    const response = await fetch(`${editor.url}/api/data`);
+    assert.strictEqual(response.status, 401);
+  });
+
+  await t.test('a viewer can look but not publish or manage accounts', async () => {
+    const added = await editor.request('POST', '/api/users', { username: VIEWER, role: 'viewer', password: VIEWER_PASSWORD });
+    assert.strictEqual(added.status, 200, JSON.stringify(added.body));
+    const viewer = await signIn(editor.url, VIEWER, VIEWER_PASSWORD);
+
+    assert.strictEqual((await viewer('GET', '/api/data')).status, 200);
+    const { body: review } = await viewer('GET', '/api/diff');
+    assert.strictEqual((await viewer('POST', '/api/publish', { reviewId: review.reviewId })).status, 403);
+    assert.strictEqual((await viewer('GET', '/api/users')).status, 403);
+    assert.strictEqual((await viewer('PUT', `/api/users/${VIEWER}`, { role: 'admin' })).status, 403);
+    assert.strictEqual((await viewer('DELETE', `/api/users/${USERNAME}`)).status, 403);
+  });
+
+  await t.test('changes without the CSRF token are refused', async () => {
+    const response = await login(editor, VIEWER, VIEWER_PASSWORD);
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    const logout = await fetch(`${editor.url}/api/logout`, { method: 'POST', headers: { Cookie: cookie } });
+    assert.strictEqual(logout.status, 403);
+    assert.strictEqual((await fetch(`${editor.url}/api/session`, { headers: { Cookie: cookie } })).status, 200);
+  });
+
+  await t.test('account names from the URL are checked', async () => {
+    assert.strictEqual((await editor.request('PUT', '/api/users/__proto__', { role: 'viewer' })).status, 400);
+    assert.strictEqual((await editor.request('DELETE', '/api/users/__proto__')).status, 400);
+    assert.strictEqual((await editor.request('PUT', '/api/users/constructor', { role: 'admin' })).status, 404);
+    assert.strictEqual((await editor.request('DELETE', '/api/users/constructor')).status, 404);
+  });
+
+  await t.test('signing in from another origin is refused', async () => {
+    const response = await login(editor, USERNAME, PASSWORD, { Origin: 'https://attacker.example' });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.headers.get('set-cookie'), null);
+  });
+
+  await t.test('after 5 failed sign-ins even the right password is refused', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.strictEqual((await login(editor, VIEWER, 'wrong-password')).status, 401);
+    }
+    assert.strictEqual((await login(editor, VIEWER, VIEWER_PASSWORD)).status, 429);
+  });
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  isDraftName, listDraftNames, loadDraftInfo, setDraftBase, createDraft, deleteDraft, findOutdated
+} from '../drafts.js';
+
+const site = (title, phone) => ({ hero: { title }, contact: { phone } });
+
+test('a production change the draft lacks makes it outdated', () => {
+  const base = { at: '2027-01-01T00:00:00.000Z', data: site('Spring', '555-0100') };
+  // The draft changed the title; meanwhile the phone number was changed and published
+  const draft = site('Summer', '555-0100');
+  const live = site('Spring', '555-0199');
+  assert.deepStrictEqual(findOutdated(base, draft, live), [
+    { path: 'contact.phone', type: 'changed', before: '555-0100', after: '555-0199' }
+  ]);
+
+  // A draft that has the change too (or was the one published) is up to date
+  assert.deepStrictEqual(findOutdated(base, site('Summer', '555-0199'), live), []);
+  assert.deepStrictEqual(findOutdated(base, live, live), []);
+  assert.deepStrictEqual(findOutdated(null, draft, live), []);
+  assert.deepStrictEqual(findOutdated(base, draft, null), []);
+});
+
+test('drafts are made, listed, rebased and deleted under the repository root', t => {
+  const rootDir = mkdtempSync(join(tmpdir(), 'drafts-test-'));
+  t.after(() => rmSync(rootDir, { recursive: true, force: true }));
+  const base = { at: '2027-01-01T00:00:00.000Z', data: site('Spring', '555-0100') };
+
+  createDraft(rootDir, 'services-redesign', { data: site('Summer', '555-0100'), createdFrom: 'production', base });
+  assert.ok(existsSync(join(rootDir, 'drafts', 'services-redesign.json')));
+  assert.deepStrictEqual(listDraftNames(rootDir), ['main', 'services-redesign']);
+  assert.deepStrictEqual(loadDraftInfo(rootDir)['services-redesign'].base, base);
+  assert.throws(() => createDraft(rootDir, 'services-redesign', { data: {}, createdFrom: 'production', base }),
+    error => error.status === 409);
+  assert.throws(() => createDraft(rootDir, '../evil', { data: {}, createdFrom: 'production', base }),
+    error => error.status === 400);
+
+  setDraftBase(rootDir, 'services-redesign', site('Spring', '555-0199'));
+  const info = loadDraftInfo(rootDir)['services-redesign'];
+  assert.strictEqual(info.createdFrom, 'production');
+  assert.deepStrictEqual(info.base.data, site('Spring', '555-0199'));
+
+  assert.throws(() => deleteDraft(rootDir, 'main'), error => error.status === 400);
+  assert.throws(() => deleteDraft(rootDir, 'other'), error => error.status === 404);
+  deleteDraft(rootDir, 'services-redesign');
+  assert.deepStrictEqual(listDraftNames(rootDir), ['main']);
+  assert.deepStrictEqual(loadDraftInfo(rootDir), {});
+});
+
+test('draft names are short lowercase words with dashes', () => {
+  assert.ok(isDraftName('services-redesign'));
+  assert.ok(isDraftName('2027'));
+  assert.ok(!isDraftName('-draft'));
+  assert.ok(!isDraftName('Draft'));
+  assert.ok(!isDraftName('_drafts'));
+  assert.ok(!isDraftName('a'.repeat(41)));
+  assert.ok(!isDraftName(undefined));
+});
@@ -0,0 +1,157 @@
+/**
+ * Editor server for integration tests
+ * Copies the site and the editor to a temporary folder and runs the editor server there with
+ * STORAGE=local (see storage.js), so tests can publish, upload and roll back without Azure and
+ * without changing the repository. Signs in as an admin, so every route can be used.
+ *
+ * Used by the *.test.js files next to it.
+ */
+
+import { spawn } from 'child_process';
+import { cpSync, mkdirSync, mkdtempSync, rmSync, symlinkSync, readdirSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { createServer } from 'net';
+import { fileURLToPath } from 'url';
+import { saveUsers, hashPassword, SESSION_COOKIE } from '../auth.js';
+
+const EDITOR_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+const ROOT_DIR = join(EDITOR_DIR, '..');
+
+// What the build and the editor server need from the repository
+const SITE_FILES = [
+  'build.js', 'package.json', 'index.template.html', 'data.json', 'data.schema.json',
+  'photos.json', 'styles.css', 'script.js', 'testimonials.json', 'lib', 'pages', 'partials'
+];
+
+export const USERNAME = 'tester';
+export const PASSWORD = 'integration-test-password';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Copy the site and the editor (without its tests, accounts or local storage) to a new folder
+function copySite() {
+  const root = mkdtempSync(join(tmpdir(), 'editor-test-'));
+  SITE_FILES.filter(name => existsSync(join(ROOT_DIR, name))).forEach(name => {
+    cpSync(join(ROOT_DIR, name), join(root, name), { recursive: true });
+  });
+  mkdirSync(join(root, 'editor'));
+  readdirSync(EDITOR_DIR)
+    .filter(name => name.endsWith('.js') || name === 'public' || name === 'package.json')
+    .forEach(name => cpSync(join(EDITOR_DIR, name), join(root, 'editor', name), { recursive: true }));
+  symlinkSync(join(EDITOR_DIR, 'node_modules'), join(root, 'editor', 'node_modules'), 'dir');
+  return root;
+}
+
+/**
+ * Start an editor server
+ * @param {object} [env] - More settings, as in editor/.env
+ * @returns {Promise<{ url: string, root: string, storageDir: string, request: function, stop: function(): Promise }>}
+ *   request calls the API as the admin (see signIn()); root is the copy of the site (its data.json
+ *   and pages are the local copy); storageDir holds the containers (site, photos, versions, staging)
+ */
+export async function startEditor(env = {}) {
+  const root = copySite();
+  const storageDir = join(root, 'storage');
+  saveUsers(join(root, 'editor', 'users.json'), {
+    [USERNAME]: { role: 'admin', password: await hashPassword(PASSWORD), createdAt: new Date().toISOString() }
+  });
+
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: join(root, 'editor'),
+    env: { PATH: process.env.PATH, HOME: process.env.HOME, STORAGE: 'local', STORAGE_DIR: storageDir, PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.on('exit', resolve));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`The editor server did not start:\n${output}`)), 20000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Editor server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    exited.then(code => {
+      clearTimeout(timer);
+      reject(new Error(`The editor server stopped (exit code ${code}):\n${output}`));
+    });
+  });
+
+  const url = `http://localhost:${port}`;
+  const request = await signIn(url, USERNAME, PASSWORD);
+
+  const stop = async () => {
+    child.kill();
+    await exited;
+    rmSync(root, { recursive: true, force: true });
+  };
+
+  return { url, root, storageDir, request, stop };
+}
+
+/**
+ * Sign in to an editor server
+ * @param {string} url - From startEditor()
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<function(string, string, (object|FormData)=): Promise<{ status: number, headers: Headers, body: * }>>}
+ *   Calls the editor's API as that account: request(method, path, body), where path is e.g.
+ *   '/api/publish' and body is sent as JSON, or as multipart form data
+ */
+export async function signIn(url, username, password) {
+  const login = await fetch(`${url}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const { csrfToken } = await login.json();
+  const cookie = (login.headers.get('set-cookie') || '').split(';')[0];
+  if (!cookie.startsWith(`${SESSION_COOKIE}=`)) throw new Error(`Could not sign in as ${username}: ${login.status}`);
+
+  return async (method, path, body) => {
+    const headers = { Cookie: cookie, 'X-CSRF-Token': csrfToken };
+    if (body !== undefined && !(body instanceof FormData)) headers['Content-Type'] = 'application/json';
+    const response = await fetch(url + path, {
+      method,
+      headers,
+      body: body === undefined || body instanceof FormData ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON, e.g. a page
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+}
+
+/**
+ * Save a change to the main draft and publish it, as the editor does after a review
+ * @param {object} editor - From startEditor()
+ * @param {function(object): void} change - Changes the draft's data
+ * @returns {Promise<{ status: number, body: * }>} The response of POST /api/publish
+ */
+export async function editAndPublish(editor, change) {
+  const { body: data } = await editor.request('GET', '/api/data');
+  change(data);
+  const saved = await editor.request('PUT', '/api/data', data);
+  if (saved.status !== 200) throw new Error(`Could not save the draft: ${JSON.stringify(saved.body)}`);
+  const { body: review } = await editor.request('GET', '/api/diff');
+  return editor.request('POST', '/api/publish', { reviewId: review.reviewId });
+}
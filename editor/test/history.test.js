@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { recordEdit, moveInHistory, describeHistory, GROUP_SECONDS, MAX_ENTRIES } from '../history.js';
+
+const emptyHistory = () => ({ position: 0, entries: [] });
+const withTitle = title => ({ hero: { title, subtitle: 'Florals' } });
+
+// Make the last entry older, as if the next save came that much later
+function age(history, seconds) {
+  const last = history.entries[history.entries.length - 1];
+  last.time = new Date(new Date(last.time) - seconds * 1000).toISOString();
+}
+
+test('saves of the same field within GROUP_SECONDS are one step', () => {
+  const history = emptyHistory();
+  recordEdit(history, withTitle('S'), withTitle('Sp'));
+  recordEdit(history, withTitle('Sp'), withTitle('Spr'));
+  recordEdit(history, withTitle('Spr'), withTitle('Spring'));
+  assert.strictEqual(history.entries.length, 1);
+  assert.deepStrictEqual(history.entries[0].changes, [{ path: 'hero.title', type: 'changed', before: 'S', after: 'Spring' }]);
+
+  // Typing back to where it started leaves nothing to undo
+  recordEdit(history, withTitle('Spring'), withTitle('S'));
+  assert.deepStrictEqual(history, { position: 0, entries: [] });
+});
+
+test('a save after GROUP_SECONDS, of another field, or with a label is a step of its own', () => {
+  const history = emptyHistory();
+  recordEdit(history, withTitle('A'), withTitle('B'));
+  age(history, GROUP_SECONDS + 1);
+  recordEdit(history, withTitle('B'), withTitle('C'));
+  recordEdit(history, withTitle('C'), { hero: { title: 'C', subtitle: 'Weddings' } });
+  recordEdit(history, { hero: { title: 'C', subtitle: 'Weddings' } }, withTitle('A'), 'Reset to production');
+  assert.deepStrictEqual(history.entries.map(entry => entry.summary),
+    ['Changed hero.title', 'Changed hero.title', 'Changed hero.subtitle', 'Reset to production']);
+  assert.deepStrictEqual(history.entries.map(entry => entry.id), [1, 2, 3, 4]);
+  assert.strictEqual(history.position, 4);
+});
+
+test('undo and redo move through the steps, and a new edit drops the undone ones', () => {
+  const history = emptyHistory();
+  recordEdit(history, withTitle('A'), withTitle('B'));
+  recordEdit(history, withTitle('B'), { hero: { title: 'B', subtitle: 'Weddings' } });
+
+  const undone = moveInHistory(history, { hero: { title: 'B', subtitle: 'Weddings' } }, 0);
+  assert.deepStrictEqual(undone, withTitle('A'));
+  assert.deepStrictEqual(describeHistory(history).entries.map(entry => entry.applied), [false, false]);
+  assert.deepStrictEqual(moveInHistory(history, undone, 1), withTitle('B'));
+  // The subtitle was changed by hand since, so its step can't be redone
+  assert.throws(() => moveInHistory(history, { hero: { title: 'B', subtitle: 'By hand' } }, 2), error => error.status === 409);
+
+  recordEdit(history, withTitle('B'), withTitle('C'));
+  assert.strictEqual(history.entries.length, 2);
+  assert.strictEqual(describeHistory(history).canRedo, false);
+});
+
+test(`only the last ${MAX_ENTRIES} steps are kept`, () => {
+  const history = emptyHistory();
+  for (let index = 0; index < MAX_ENTRIES + 20; index++) {
+    recordEdit(history, withTitle(`Title ${index}`), withTitle(`Title ${index + 1}`), `Edit ${index + 1}`);
+  }
+  assert.strictEqual(history.entries.length, MAX_ENTRIES);
+  assert.strictEqual(history.position, MAX_ENTRIES);
+  assert.strictEqual(history.entries[0].summary, 'Edit 21');
+  assert.strictEqual(history.entries[MAX_ENTRIES - 1].id, MAX_ENTRIES + 20);
+});
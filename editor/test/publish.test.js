@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { runSteps, undoAll, backUpBlob } from '../publish.js';
+import { localContainer } from '../storage.js';
+
+test('undoAll() runs every restore even when one fails, and names the failures', async () => {
+  const restored = [];
+  const restores = [
+    async () => restored.push('about/index.html'),
+    async () => { throw new Error('index.html could not be put back: disk full'); },
+    async () => restored.push('services/index.html')
+  ];
+  await assert.rejects(undoAll(restores), /index\.html could not be put back: disk full/);
+  assert.deepStrictEqual(restored, ['services/index.html', 'about/index.html']);
+  assert.strictEqual(restores.length, 0);
+});
+
+test('a failed publish puts back every file it can, and reports the one it could not', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'publish-test-'));
+  try {
+    const site = localContainer(join(dir, 'site'));
+    for (const name of ['about/index.html', 'index.html', 'services/index.html']) {
+      await site.write(name, `old ${name}`);
+    }
+
+    const restores = [];
+    const steps = [
+      {
+        id: 'files',
+        label: 'Upload the site files',
+        run: async () => {
+          for (const name of ['about/index.html', 'index.html', 'services/index.html']) {
+            restores.push(await backUpBlob(site, name));
+            await site.write(name, `new ${name}`);
+          }
+          // index.html can't be put back: a folder now stands where it was
+          rmSync(join(dir, 'site', 'index.html'));
+          mkdirSync(join(dir, 'site', 'index.html', 'blocked'), { recursive: true });
+        },
+        undo: () => undoAll(restores)
+      },
+      { id: 'data', label: 'Upload data.json', run: async () => { throw new Error('network down'); } }
+    ];
+
+    const error = await runSteps(steps).then(() => null, error => error);
+    assert.match(error.message, /Upload data\.json failed: network down/);
+    assert.match(error.message, /Upload the site files \(index\.html could not be put back/);
+    assert.deepStrictEqual(error.steps.map(step => step.status), ['undo-failed', 'failed']);
+    assert.strictEqual(readFileSync(join(dir, 'site', 'about/index.html'), 'utf8'), 'old about/index.html');
+    assert.strictEqual(readFileSync(join(dir, 'site', 'services/index.html'), 'utf8'), 'old services/index.html');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a failed step keeps the status and message of its error', async () => {
+  const changed = Object.assign(new Error('index.html on staging is not what was staged, publish to staging again'), { status: 409 });
+  const steps = [
+    { id: 'staged', label: 'Read the staged files', run: async () => { throw changed; } },
+    { id: 'files', label: 'Upload the site files', run: async () => {} }
+  ];
+
+  const error = await runSteps(steps).then(() => null, error => error);
+  assert.strictEqual(error.status, 409);
+  assert.strictEqual(error.cause, changed);
+  assert.match(error.message, /^Read the staged files failed: index\.html on staging is not what was staged/);
+  assert.deepStrictEqual(error.steps.map(step => step.status), ['failed', 'skipped']);
+});
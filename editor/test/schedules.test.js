@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { loadSchedules, saveSchedules, createSchedule, describeSchedules, publishDueSchedules, startScheduler } from '../schedules.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// A pending schedule of a draft, due an hour ago (or at the given offset from now)
+function schedule(name, offset = -HOUR) {
+  const created = createSchedule({
+    name,
+    publishAt: new Date(Date.now() + HOUR).toISOString(),
+    draft: 'main',
+    data: { hero: { title: name } },
+    author: 'anna',
+    summary: 'Changed hero.title'
+  });
+  return { ...created, publishAt: new Date(Date.now() + offset).toISOString() };
+}
+
+function withSchedules(t, schedules) {
+  const dir = mkdtempSync(join(tmpdir(), 'schedules-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const schedulesPath = join(dir, 'scheduled-publishes.json');
+  saveSchedules(schedulesPath, schedules);
+  return schedulesPath;
+}
+
+const statusOf = (schedulesPath, id) => loadSchedules(schedulesPath).find(item => item.id === id);
+
+test('due schedules are published and the outcome recorded on each', async t => {
+  const due = schedule('Due');
+  const failing = schedule('Failing');
+  const later = schedule('Later', HOUR);
+  const schedulesPath = withSchedules(t, [due, failing, later]);
+
+  const published = [];
+  await publishDueSchedules(schedulesPath, async item => {
+    published.push(item.name);
+    assert.strictEqual(statusOf(schedulesPath, item.id).status, 'publishing');
+    if (item.name === 'Failing') throw new Error('Upload failed');
+    return { versionId: 'v1' };
+  });
+
+  assert.deepStrictEqual(published, ['Due', 'Failing']);
+  assert.strictEqual(statusOf(schedulesPath, due.id).status, 'published');
+  assert.strictEqual(statusOf(schedulesPath, due.id).versionId, 'v1');
+  assert.ok(statusOf(schedulesPath, due.id).finishedAt);
+  assert.strictEqual(statusOf(schedulesPath, failing.id).status, 'failed');
+  assert.strictEqual(statusOf(schedulesPath, failing.id).error, 'Upload failed');
+  assert.strictEqual(statusOf(schedulesPath, later.id).status, 'pending');
+});
+
+test('cancelled schedules, and ones rescheduled while another was publishing, are not published', async t => {
+  const first = schedule('First');
+  const cancelled = { ...schedule('Cancelled'), status: 'cancelled' };
+  const rescheduled = schedule('Rescheduled');
+  const schedulesPath = withSchedules(t, [first, cancelled, rescheduled]);
+
+  const published = [];
+  await publishDueSchedules(schedulesPath, async item => {
+    published.push(item.name);
+    // The editor moves the other one to tomorrow meanwhile
+    const schedules = loadSchedules(schedulesPath);
+    schedules.find(other => other.id === rescheduled.id).publishAt = new Date(Date.now() + 24 * HOUR).toISOString();
+    saveSchedules(schedulesPath, schedules);
+    return { versionId: 'v1' };
+  });
+
+  assert.deepStrictEqual(published, ['First']);
+  assert.strictEqual(statusOf(schedulesPath, cancelled.id).status, 'cancelled');
+  assert.strictEqual(statusOf(schedulesPath, rescheduled.id).status, 'pending');
+});
+
+test('a schedule that was publishing when the server stopped is marked failed, not published again', async t => {
+  const interrupted = { ...schedule('Interrupted'), status: 'publishing' };
+  const schedulesPath = withSchedules(t, [interrupted]);
+
+  const published = [];
+  const timer = startScheduler(schedulesPath, async item => {
+    published.push(item.name);
+    return {};
+  });
+  clearInterval(timer);
+
+  const after = statusOf(schedulesPath, interrupted.id);
+  assert.strictEqual(after.status, 'failed');
+  assert.match(after.error, /stopped while publishing/);
+  await publishDueSchedules(schedulesPath, async item => {
+    published.push(item.name);
+    return {};
+  });
+  assert.deepStrictEqual(published, []);
+});
+
+test('schedules keep the base of their draft, but the editor lists them without it', () => {
+  const base = { at: '2027-01-01T00:00:00.000Z', data: { hero: { title: 'Live' } } };
+  const created = createSchedule({
+    name: ' Valentine\'s Day ',
+    publishAt: new Date(Date.now() + HOUR).toISOString(),
+    draft: 'main',
+    data: { hero: { title: 'Roses' } },
+    author: 'anna',
+    summary: 'Changed hero.title',
+    base
+  });
+  assert.strictEqual(created.name, 'Valentine\'s Day');
+  assert.deepStrictEqual(created.base, base);
+  const [listed] = describeSchedules([created]);
+  assert.strictEqual(listed.base, undefined);
+  assert.strictEqual(listed.data, undefined);
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { readFileSync, writeFileSync, copyFileSync } from 'fs';
+import { join } from 'path';
+import { startEditor, editAndPublish } from './editor-server.js';
+
+test('promoting refuses a staged file that was changed since it was staged', async t => {
+  const editor = await startEditor();
+  t.after(() => editor.stop());
+  const site = name => join(editor.storageDir, 'site', name);
+
+  const published = await editAndPublish(editor, data => { data.hero.title = 'Live before staging'; });
+  assert.strictEqual(published.status, 200, JSON.stringify(published.body));
+  const liveIndex = readFileSync(site('index.html'), 'utf8');
+  const liveData = readFileSync(site('data.json'), 'utf8');
+
+  const { body: data } = await editor.request('GET', '/api/data');
+  data.hero.title = 'For the client to check';
+  assert.strictEqual((await editor.request('PUT', '/api/data', data)).status, 200);
+  const { body: review } = await editor.request('GET', '/api/diff');
+  const staged = await editor.request('POST', '/api/staging', { reviewId: review.reviewId });
+  assert.strictEqual(staged.status, 200, JSON.stringify(staged.body));
+
+  // Someone changes index.html on staging by hand
+  const stagedIndex = join(editor.storageDir, 'staging', 'index.html');
+  writeFileSync(stagedIndex, readFileSync(stagedIndex, 'utf8').replace('For the client to check', 'Not checked'));
+
+  const { body: staging } = await editor.request('GET', '/api/staging');
+  const promoted = await editor.request('POST', '/api/promote', { reviewId: staging.reviewId });
+  assert.strictEqual(promoted.status, 409, JSON.stringify(promoted.body));
+  assert.match(promoted.body.details, /index\.html on staging is not what was staged/);
+  assert.strictEqual(promoted.body.steps[0].status, 'failed');
+  assert.ok(promoted.body.steps.slice(1).every(step => step.status === 'skipped'));
+
+  assert.strictEqual(readFileSync(site('index.html'), 'utf8'), liveIndex);
+  assert.strictEqual(readFileSync(site('data.json'), 'utf8'), liveData);
+});
+
+test('promoting saves the staged pages to the publish history, whatever the pages would be now', async t => {
+  const editor = await startEditor();
+  t.after(() => editor.stop());
+
+  const { body: data } = await editor.request('GET', '/api/data');
+  const review = (await editor.request('GET', '/api/diff')).body;
+  const staged = await editor.request('POST', '/api/staging', { reviewId: review.reviewId });
+  assert.strictEqual(staged.status, 200, JSON.stringify(staged.body));
+  const stagedPages = staged.body.staging.pages;
+  assert.ok(stagedPages.includes('portfolio/weddings/index.html'));
+
+  // After staging, the draft gets another gallery and the site another page template
+  data.portfolio.galleries.push({ ...data.portfolio.galleries[0], slug: 'birthdays', title: 'Birthdays' });
+  assert.strictEqual((await editor.request('PUT', '/api/data', data)).status, 200);
+  copyFileSync(join(editor.root, 'pages', 'about.template.html'), join(editor.root, 'pages', 'team.template.html'));
+
+  const { body: staging } = await editor.request('GET', '/api/staging');
+  const promoted = await editor.request('POST', '/api/promote', { reviewId: staging.reviewId });
+  assert.strictEqual(promoted.status, 200, JSON.stringify(promoted.body));
+  assert.strictEqual(promoted.body.warning, undefined);
+
+  const version = JSON.parse(readFileSync(join(editor.storageDir, 'versions', `${promoted.body.version.id}.json`), 'utf8'));
+  assert.deepStrictEqual(version.pages.map(page => page.output), stagedPages);
+  const weddings = version.pages.find(page => page.output === 'portfolio/weddings/index.html');
+  assert.strictEqual(weddings.name, 'portfolio/weddings');
+  assert.strictEqual(weddings.html, readFileSync(join(editor.storageDir, 'site', 'portfolio/weddings/index.html'), 'utf8'));
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { readFileSync, rmSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import sharp from 'sharp';
+import { startEditor, editAndPublish } from './editor-server.js';
+
+test('the editor works offline with STORAGE=local', async t => {
+  const editor = await startEditor();
+  t.after(() => editor.stop());
+  const site = name => join(editor.storageDir, 'site', name);
+  const photos = name => join(editor.storageDir, 'photos', name);
+
+  await t.test('publishing uploads the pages and data.json and saves a version', async () => {
+    const published = await editAndPublish(editor, data => { data.hero.title = 'Published offline'; });
+    assert.strictEqual(published.status, 200, JSON.stringify(published.body));
+    assert.deepStrictEqual(published.body.steps.map(step => step.status), ['done', 'done', 'done', 'done', 'done']);
+
+    assert.match(readFileSync(site('index.html'), 'utf8'), /Published offline/);
+    assert.strictEqual(JSON.parse(readFileSync(site('data.json'), 'utf8')).hero.title, 'Published offline');
+    assert.match(readFileSync(join(editor.root, 'index.html'), 'utf8'), /Published offline/);
+    const { body } = await editor.request('GET', '/api/versions');
+    assert.strictEqual(body.versions.length, 1);
+  });
+
+  await t.test('right after a publish the review shows no changes', async () => {
+    const { status, body } = await editor.request('GET', '/api/diff');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.changes, []);
+    assert.ok(body.pages.length > 0);
+    assert.deepStrictEqual(body.pages.filter(page => page.status !== 'unchanged').map(page => page.output), []);
+  });
+
+  await t.test('a publish that fails part way puts the live site and the local copy back', async () => {
+    const liveIndex = readFileSync(site('index.html'), 'utf8');
+    const liveData = readFileSync(site('data.json'), 'utf8');
+    // The local copy can't be written: a folder stands where about/index.html goes
+    rmSync(join(editor.root, 'about', 'index.html'), { force: true });
+    mkdirSync(join(editor.root, 'about', 'index.html'), { recursive: true });
+
+    const failed = await editAndPublish(editor, data => { data.hero.title = 'Never live'; });
+    assert.strictEqual(failed.status, 500);
+    assert.match(failed.body.details, /Update the local copy failed.*Nothing was changed/);
+    assert.deepStrictEqual(
+      failed.body.steps.map(step => `${step.id} ${step.status}`),
+      ['build done', 'files undone', 'data undone', 'local failed', 'history skipped']
+    );
+
+    assert.strictEqual(readFileSync(site('index.html'), 'utf8'), liveIndex);
+    assert.strictEqual(readFileSync(site('data.json'), 'utf8'), liveData);
+    assert.match(readFileSync(join(editor.root, 'index.html'), 'utf8'), /Published offline/);
+    assert.strictEqual(JSON.parse(readFileSync(join(editor.root, 'data.json'), 'utf8')).hero.title, 'Published offline');
+    rmSync(join(editor.root, 'about', 'index.html'), { recursive: true });
+  });
+
+  await t.test('an uploaded photo gets resized copies, and can be moved to the trash and back', async () => {
+    const png = await sharp({ create: { width: 1000, height: 600, channels: 3, background: '#c8a2c8' } }).png().toBuffer();
+    const form = new FormData();
+    form.append('file', new Blob([png], { type: 'image/png' }), 'Lilac Bouquet.png');
+    const uploaded = await editor.request('POST', '/api/photos/upload', form);
+    assert.strictEqual(uploaded.status, 200, JSON.stringify(uploaded.body));
+    const name = uploaded.body.name;
+    assert.ok(existsSync(photos(name)));
+    assert.ok(existsSync(photos(`variants/${name}-480.webp`)));
+    assert.ok(JSON.parse(readFileSync(join(editor.root, 'photos.json'), 'utf8'))[name]);
+
+    const listed = await editor.request('GET', '/api/photos');
+    assert.ok(listed.body.some(photo => photo.name === name));
+
+    const deleted = await editor.request('DELETE', `/api/photos/${encodeURIComponent(name)}`);
+    assert.strictEqual(deleted.status, 200, JSON.stringify(deleted.body));
+    assert.ok(!existsSync(photos(name)));
+    assert.ok(existsSync(photos(`trash/${name}`)));
+    assert.ok(existsSync(photos(`trash/variants/${name}-480.webp`)));
+    const trash = await editor.request('GET', '/api/photos/trash');
+    assert.deepStrictEqual(trash.body.map(photo => photo.name), [name]);
+
+    const restored = await editor.request('POST', `/api/photos/trash/${encodeURIComponent(name)}/restore`);
+    assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+    assert.ok(existsSync(photos(name)));
+    assert.ok(existsSync(photos(`variants/${name}-480.webp`)));
+  });
+
+  await t.test('without a local data.json, the published one is used', async () => {
+    rmSync(join(editor.root, 'data.json'));
+    const original = await editor.request('GET', '/api/data/original');
+    assert.strictEqual(original.status, 200, JSON.stringify(original.body));
+    assert.strictEqual(original.body.hero.title, 'Published offline');
+  });
+});
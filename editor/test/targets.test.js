@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { openTarget } from '../targets.js';
+import { localContainer } from '../storage.js';
+import { startEditor, editAndPublish } from './editor-server.js';
+
+test('openTarget() says which deploy setting is missing or wrong', async () => {
+  const stateDir = mkdtempSync(join(tmpdir(), 'targets-test-'));
+  try {
+    const open = (env, storageContainer = null) => openTarget(env, { name: 'live', storageContainer, stateDir });
+    const fails = async (env, message) => {
+      await assert.rejects(open(env), error => {
+        assert.strictEqual(error.code, 'STORAGE_CONFIG');
+        assert.match(error.message, message);
+        return true;
+      });
+    };
+
+    await fails({}, /DEPLOY_TARGET=storage needs AZURE_STORAGE_CONTAINER/);
+    await fails({ DEPLOY_TARGET: 'ftp' }, /DEPLOY_TARGET must be one of storage, s3, rsync, folder \(it is "ftp"\)/);
+    await fails({ DEPLOY_TARGET: 'folder' }, /DEPLOY_TARGET=folder needs DEPLOY_FOLDER/);
+    await fails({ DEPLOY_TARGET: 's3' }, /DEPLOY_TARGET=s3 needs DEPLOY_S3_BUCKET/);
+    await fails({ DEPLOY_TARGET: 's3', DEPLOY_S3_BUCKET: 'site', DEPLOY_S3_ACCESS_KEY_ID: 'key' },
+      /needs DEPLOY_S3_ACCESS_KEY_ID and DEPLOY_S3_SECRET_ACCESS_KEY, or DEPLOY_S3_AUTH=default/);
+    await fails({ DEPLOY_TARGET: 'rsync' }, /DEPLOY_TARGET=rsync needs DEPLOY_RSYNC_DEST/);
+    await assert.rejects(
+      openTarget({ STAGING_TARGET: 'folder' }, { prefix: 'STAGING', name: 'staging', storageContainer: null, stateDir }),
+      /STAGING_TARGET=folder needs STAGING_FOLDER/
+    );
+
+    const site = localContainer(join(stateDir, 'site'));
+    const storage = await open({ DEPLOY_URL: 'https://example.com' }, site);
+    assert.strictEqual(storage.files, site);
+    assert.strictEqual(storage.url, 'https://example.com');
+    const folder = await open({ DEPLOY_TARGET: 'folder', DEPLOY_FOLDER: join(stateDir, 'www') });
+    assert.strictEqual(folder.kind, 'folder');
+  } finally {
+    rmSync(stateDir, { recursive: true, force: true });
+  }
+});
+
+test('publishing and rolling back with DEPLOY_TARGET=folder', async t => {
+  const folder = mkdtempSync(join(tmpdir(), 'deploy-folder-'));
+  const editor = await startEditor({ DEPLOY_TARGET: 'folder', DEPLOY_FOLDER: folder });
+  t.after(async () => {
+    await editor.stop();
+    rmSync(folder, { recursive: true, force: true });
+  });
+  const deployed = name => join(folder, name);
+
+  const first = await editAndPublish(editor, data => { data.hero.title = 'First in the folder'; });
+  assert.strictEqual(first.status, 200, JSON.stringify(first.body));
+  assert.match(readFileSync(deployed('index.html'), 'utf8'), /First in the folder/);
+  assert.strictEqual(JSON.parse(readFileSync(deployed('data.json'), 'utf8')).hero.title, 'First in the folder');
+  assert.ok(existsSync(deployed('portfolio/weddings/index.html')));
+  assert.ok(!existsSync(join(editor.storageDir, 'site', 'index.html')), 'nothing is published to the storage container');
+  const firstId = first.body.version.id;
+
+  const second = await editAndPublish(editor, data => {
+    data.hero.title = 'Second in the folder';
+    data.portfolio.galleries.push({ ...data.portfolio.galleries[0], slug: 'birthdays', title: 'Birthdays' });
+  });
+  assert.strictEqual(second.status, 200, JSON.stringify(second.body));
+  assert.match(readFileSync(deployed('index.html'), 'utf8'), /Second in the folder/);
+  assert.ok(existsSync(deployed('portfolio/birthdays/index.html')));
+
+  const rollback = await editor.request('POST', `/api/versions/${firstId}/rollback`);
+  assert.strictEqual(rollback.status, 200, JSON.stringify(rollback.body));
+  assert.deepStrictEqual(rollback.body.removed, ['portfolio/birthdays/index.html']);
+  assert.match(readFileSync(deployed('index.html'), 'utf8'), /First in the folder/);
+  assert.strictEqual(JSON.parse(readFileSync(deployed('data.json'), 'utf8')).hero.title, 'First in the folder');
+  assert.ok(!existsSync(deployed('portfolio/birthdays/index.html')));
+  assert.match(readFileSync(join(editor.root, 'index.html'), 'utf8'), /First in the folder/);
+});
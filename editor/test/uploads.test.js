@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import sharp from 'sharp';
+import { sniffImageType, findSvgProblem, photoName } from '../uploads.js';
+import { startEditor } from './editor-server.js';
+
+const SAFE_SVG = '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect width="10" height="10"/></svg>';
+
+test('a file\'s type comes from its first bytes, not its name', async () => {
+  const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#fff' } }).png().toBuffer();
+  assert.strictEqual(sniffImageType(png), 'png');
+  assert.strictEqual(sniffImageType(Buffer.from(SAFE_SVG)), 'svg');
+  assert.strictEqual(sniffImageType(Buffer.from('Just some notes, saved as notes.jpg')), null);
+  assert.strictEqual(sniffImageType(Buffer.from('<html><body><svg></svg></body></html>')), null);
+});
+
+test('SVGs that could run scripts are refused', () => {
+  assert.strictEqual(findSvgProblem(Buffer.from(SAFE_SVG)), null);
+  assert.strictEqual(findSvgProblem(Buffer.from('<svg><script>alert(1)</script></svg>')), 'contains a <script>');
+  assert.match(findSvgProblem(Buffer.from('<svg onload="alert(1)"></svg>')), /event handler/);
+  assert.match(findSvgProblem(Buffer.from('<svg><a href="javascript:alert(1)">x</a></svg>')), /script link/);
+});
+
+test('photo names keep letters, numbers, dashes and underscores, with the extension of the real type', () => {
+  assert.strictEqual(photoName('Smith & Jones wedding (1).JPG', 'jpeg'), 'Smith-Jones-wedding-1.jpg');
+  assert.strictEqual(photoName('Café façade.jpeg', 'jpeg'), 'Cafe-facade.jpeg');
+  assert.strictEqual(photoName('bouquet.png', 'jpeg'), 'bouquet.jpg');
+  assert.strictEqual(photoName('../../etc/passwd', 'gif'), 'etc-passwd.gif');
+  assert.strictEqual(photoName('---.webp', 'webp'), 'photo.webp');
+});
+
+test('uploading photos to the editor', async t => {
+  // 100 KB, so a test file can be too large
+  const editor = await startEditor({ MAX_UPLOAD_MB: '0.1' });
+  t.after(() => editor.stop());
+  const upload = (content, filename, type) => {
+    const form = new FormData();
+    form.append('file', new Blob([content], { type }), filename);
+    return editor.request('POST', '/api/photos/upload', form);
+  };
+
+  await t.test('a text file named .jpg is refused', async () => {
+    const response = await upload('Just some notes', 'notes.jpg', 'image/jpeg');
+    assert.strictEqual(response.status, 415);
+    assert.match(response.body.details, /notes\.jpg is not a JPEG, PNG, GIF, WebP, AVIF or SVG image/);
+  });
+
+  await t.test('SVGs with scripts or event handlers are refused', async () => {
+    const script = await upload('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>', 'logo.svg', 'image/svg+xml');
+    assert.strictEqual(script.status, 415);
+    assert.strictEqual(script.body.error, 'Unsafe SVG');
+    const handler = await upload('<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"></svg>', 'logo.svg', 'image/svg+xml');
+    assert.strictEqual(handler.status, 415);
+  });
+
+  await t.test('files over MAX_UPLOAD_MB are refused', async () => {
+    const response = await upload(Buffer.alloc(120 * 1024, 1), 'huge.png', 'image/png');
+    assert.strictEqual(response.status, 413);
+    assert.match(response.body.details, /huge\.png is larger than 0\.1 MB/);
+  });
+
+  await t.test('photos get clean names that never overwrite another photo', async () => {
+    const png = await sharp({ create: { width: 600, height: 400, channels: 3, background: '#c8a2c8' } }).png().toBuffer();
+    const first = await upload(png, 'Lilac Bouquet (1).png', 'image/png');
+    assert.strictEqual(first.status, 200, JSON.stringify(first.body));
+    assert.strictEqual(first.body.name, 'Lilac-Bouquet-1.png');
+    assert.strictEqual(first.body.width, 600);
+
+    const second = await upload(png, 'Lilac Bouquet (1).png', 'image/png');
+    assert.strictEqual(second.status, 200, JSON.stringify(second.body));
+    assert.match(second.body.name, /^Lilac-Bouquet-1-[0-9a-f]{6}\.png$/);
+  });
+
+  await t.test('an SVG has no size in the response or the audit log', async () => {
+    const response = await upload(SAFE_SVG, 'Logo.svg', 'image/svg+xml');
+    assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+    assert.strictEqual(response.body.name, 'Logo.svg');
+    assert.ok(!('width' in response.body) && !('height' in response.body));
+
+    const { body: audit } = await editor.request('GET', '/api/audit?action=photo.upload');
+    const entry = audit.entries.find(item => item.files.includes('Logo.svg'));
+    assert.strictEqual(entry.summary, 'Logo.svg (SVG, 0 resized copies)');
+  });
+});
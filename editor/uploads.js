@@ -0,0 +1,175 @@
+/**
+ * Photo uploads
+ * POST /api/photos/upload takes multipart/form-data with one "file" part, and optionally a
+ * "replace" field (sent before the file) naming an existing photo to overwrite on purpose.
+ * The file is read as a stream and refused as soon as it passes the size limit
+ * (MAX_UPLOAD_MB in .env, 25 MB by default); the rest of it is read but not kept. Its type comes from its first bytes, not from
+ * the file name or the browser, and SVGs that could run scripts are refused.
+ */
+
+import busboy from 'busboy';
+
+/**
+ * Largest photo accepted, from MAX_UPLOAD_MB
+ * Read on each upload, since this module is imported before the server loads .env
+ * @returns {number} Bytes
+ */
+export function maxUploadBytes() {
+  // Whole bytes: with a fraction, busboy cuts the file short without saying it was too large
+  return Math.floor((parseFloat(process.env.MAX_UPLOAD_MB) || 25) * 1024 * 1024);
+}
+
+export const IMAGE_TYPES = {
+  jpeg: { label: 'JPEG', extensions: ['jpg', 'jpeg'], contentType: 'image/jpeg' },
+  png: { label: 'PNG', extensions: ['png'], contentType: 'image/png' },
+  gif: { label: 'GIF', extensions: ['gif'], contentType: 'image/gif' },
+  webp: { label: 'WebP', extensions: ['webp'], contentType: 'image/webp' },
+  avif: { label: 'AVIF', extensions: ['avif'], contentType: 'image/avif' },
+  svg: { label: 'SVG', extensions: ['svg'], contentType: 'image/svg+xml' }
+};
+
+// Markup that can run code or pull in other documents when an SVG is opened directly
+const SVG_PROBLEMS = [
+  { pattern: /<script[\s>/]/i, message: 'contains a <script>' },
+  { pattern: /\son[a-z]+\s*=/i, message: 'contains an event handler attribute (onload, onclick, ...)' },
+  { pattern: /(?:javascript|vbscript)\s*:|data\s*:\s*text\/html/i, message: 'contains a script link' },
+  { pattern: /<(?:foreignObject|iframe|embed|object)[\s>/]/i, message: 'embeds HTML content' },
+  { pattern: /<!ENTITY/i, message: 'declares XML entities' }
+];
+
+function uploadError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function megabytes(bytes) {
+  return Math.round(bytes / 1024 / 1024 * 10) / 10;
+}
+
+/**
+ * Image type of a file from its first bytes
+ * @param {Buffer} buffer
+ * @returns {string|null} A key of IMAGE_TYPES, or null if it isn't a supported image
+ */
+export function sniffImageType(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(8, 12))) return 'avif';
+
+  // SVG is text: an optional XML declaration, comments and doctype, then <svg
+  const start = buffer.toString('utf8', 0, 1024).replace(/^\uFEFF/, '');
+  if (/^\s*(?:<\?xml[^>]*\?>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(start)) return 'svg';
+
+  return null;
+}
+
+/**
+ * Why an SVG can't be used as a photo
+ * @param {Buffer} buffer
+ * @returns {string|null} e.g. 'contains a <script>', or null if it is safe
+ */
+export function findSvgProblem(buffer) {
+  const text = buffer.toString('utf8');
+  const problem = SVG_PROBLEMS.find(check => check.pattern.test(text));
+  return problem ? problem.message : null;
+}
+
+/**
+ * Blob name for an uploaded file: its name with anything but letters, numbers, dashes and
+ * underscores replaced, and the extension of its real type
+ * @param {string} original - File name from the browser
+ * @param {string} type - From sniffImageType()
+ * @returns {string} e.g. 'Smith-wedding-bouquet.jpg'
+ */
+export function photoName(original, type) {
+  const extension = (original.match(/\.([^./]+)$/) || [])[1];
+  const stem = original
+    .replace(/\.[^./]+$/, '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80) || 'photo';
+
+  const extensions = IMAGE_TYPES[type].extensions;
+  return `${stem}.${extensions.includes((extension || '').toLowerCase()) ? extension.toLowerCase() : extensions[0]}`;
+}
+
+/**
+ * Read a multipart photo upload
+ * Rejects with an Error whose status is 400 (not a photo upload) or 413 (too large).
+ * @param {import('http').IncomingMessage} req
+ * @param {object} [options]
+ * @param {number} [options.maxBytes] - Largest file accepted (defaults to maxUploadBytes())
+ * @returns {Promise<{ fields: Object<string, string>, filename: string, buffer: Buffer }>}
+ */
+export function receiveUpload(req, { maxBytes = maxUploadBytes() } = {}) {
+  return new Promise((resolve, reject) => {
+    // Refuse before reading anything when the browser already says it's too large
+    if (Number(req.headers['content-length']) > maxBytes + 64 * 1024) {
+      reject(uploadError(413, `The file is larger than ${megabytes(maxBytes)} MB`));
+      return;
+    }
+
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fields: 10, fileSize: maxBytes } });
+    } catch (error) {
+      reject(uploadError(400, 'Expected a multipart/form-data upload'));
+      return;
+    }
+
+    const fields = {};
+    let file = null;
+    let failed = false;
+    const fail = error => {
+      if (failed) return;
+      failed = true;
+      req.unpipe(parser);
+      req.resume();
+      // Answer once the rest has been read (and dropped), so the browser gets the answer
+      // instead of a connection closed while it was still sending
+      if (req.complete) reject(error);
+      else req.once('end', () => reject(error)).once('error', () => reject(error));
+    };
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on('file', (name, stream, info) => {
+      if (name !== 'file') {
+        stream.resume();
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      stream.on('data', chunk => {
+        size += chunk.length;
+        chunks.push(chunk);
+      });
+      stream.on('limit', () => fail(uploadError(413, `${info.filename} is larger than ${megabytes(maxBytes)} MB`)));
+      stream.on('end', () => {
+        if (!stream.truncated) {
+          file = { filename: info.filename || 'photo', buffer: Buffer.concat(chunks, size) };
+        }
+      });
+    });
+
+    parser.on('error', error => fail(uploadError(400, `Could not read the upload: ${error.message}`)));
+    parser.on('close', () => {
+      if (failed) return;
+      if (!file || file.buffer.length === 0) {
+        reject(uploadError(400, 'No file in the upload'));
+        return;
+      }
+      resolve({ fields, ...file });
+    });
+
+    req.pipe(parser);
+  });
+}
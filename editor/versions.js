@@ -0,0 +1,90 @@
+/**
+ * Publish history
+ * Every publish (and every rollback) saves a snapshot of the live site - data.json and
+ * the rendered HTML of each page - as <id>.json in the private "versions" container.
+ * The id is the publish time, so names sort oldest first: 2026-10-19T14-03-22-512Z.json
+ *
+ * The timestamp, author and change summary are also stored as metadata of the file (URI-encoded,
+ * like the photo library), so the history can be listed without downloading each snapshot.
+ *
+ * Used by POST /api/publish and the /api/versions routes of the editor server.
+ */
+
+export const VERSIONS_CONTAINER = 'versions';
+
+const VERSION_ID = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+/**
+ * Check a version id from a URL
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isVersionId(id) {
+  return VERSION_ID.test(id);
+}
+
+function readVersionInfo(name, metadata = {}) {
+  const read = key => decodeURIComponent(metadata[key] || '');
+  return {
+    id: name.replace(/\.json$/, ''),
+    publishedAt: read('publishedat'),
+    author: read('author'),
+    summary: read('summary'),
+    pageCount: Number(read('pagecount')) || 0,
+    rollbackOf: read('rollbackof') || null
+  };
+}
+
+/**
+ * Save a snapshot of what was just published
+ * @param {object} container - The versions container (see storage.js)
+ * @param {object} snapshot
+ * @param {object} snapshot.data - The published data.json
+ * @param {Array<{name: string, output: string, html: string}>} snapshot.pages - The published pages
+ * @param {string} snapshot.author
+ * @param {string} snapshot.summary - e.g. 'Changed hero.title'
+ * @param {string} [snapshot.rollbackOf] - Id of the version this publish brought back
+ * @returns {Promise<{id: string, publishedAt: string, author: string, summary: string, pageCount: number, rollbackOf: string|null}>}
+ */
+export async function saveVersion(container, { data, pages, author, summary, rollbackOf = null }) {
+  const publishedAt = new Date().toISOString();
+  const id = publishedAt.replace(/[:.]/g, '-');
+  const info = { id, publishedAt, author, summary, pageCount: pages.length, rollbackOf };
+
+  const content = Buffer.from(JSON.stringify({ ...info, data, pages }), 'utf8');
+  const metadata = {
+    publishedat: encodeURIComponent(publishedAt),
+    author: encodeURIComponent(author),
+    summary: encodeURIComponent(summary),
+    pagecount: String(pages.length)
+  };
+  if (rollbackOf) metadata.rollbackof = encodeURIComponent(rollbackOf);
+
+  await container.write(`${id}.json`, content, { contentType: 'application/json', metadata });
+  return info;
+}
+
+/**
+ * List the publish history, newest first
+ * @param {object} container - The versions container (see storage.js)
+ * @returns {Promise<Array<{id: string, publishedAt: string, author: string, summary: string, pageCount: number, rollbackOf: string|null}>>}
+ */
+export async function listVersions(container) {
+  const versions = [];
+  for await (const blob of container.list()) {
+    if (!blob.name.endsWith('.json')) continue;
+    versions.push(readVersionInfo(blob.name, blob.metadata));
+  }
+  return versions.sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Load a snapshot
+ * @param {object} container - The versions container (see storage.js)
+ * @param {string} id
+ * @returns {Promise<object|null>} The version with its data and pages, or null if there is no such version
+ */
+export async function loadVersion(container, id) {
+  const buffer = await container.read(`${id}.json`);
+  return buffer ? JSON.parse(buffer.toString('utf8')) : null;
+}
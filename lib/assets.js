@@ -0,0 +1,143 @@
+/**
+ * Site assets
+ * The files the site needs besides its pages: styles.css and script.js, and testimonials.json
+ * (fetched by script.js). build.js --out copies them next to the pages, so the output folder is
+ * the whole site.
+ *
+ * With fingerprinting (build.js --fingerprint, used when the editor publishes), styles.css and
+ * script.js are copied under a name with a hash of their content, and the pages link to those:
+ *
+ *   <link rel="stylesheet" href="../styles.css">  →  <link rel="stylesheet" href="../styles.3f9a1c2e.css">
+ *
+ * A changed file gets a new name, so browsers can cache them for a year (see cacheControl())
+ * and never mix new pages with old CSS. Old copies are left in the container, as pages in the
+ * publish history (and pages still open in a browser) link to them.
+ *
+ * Usage:
+ *   const { buildAssets, fingerprintLinks } = require('./lib/assets');
+ *   const assets = buildAssets(); // [{ source: 'styles.css', output: 'styles.3f9a1c2e.css', content }, ...]
+ *   html = fingerprintLinks(html, assets);
+ *
+ * Used by build.js and the editor server (publish).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Copied to the site as they are; fingerprinted ones get a content hash in their name
+const ASSETS = [
+    { source: 'styles.css', fingerprint: true },
+    { source: 'script.js', fingerprint: true },
+    { source: 'testimonials.json', fingerprint: false } // script.js fetches it by name
+];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8'
+};
+
+// A fingerprinted name, e.g. styles.3f9a1c2e.css
+const FINGERPRINTED = /^(.+)\.[0-9a-f]{8}(\.[a-z0-9]+)$/;
+
+function hashOf(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+}
+
+/**
+ * Read the assets, with the name each is published under
+ * @param {object} [options]
+ * @param {boolean} [options.fingerprint] - Put a content hash in the names of styles.css and script.js
+ * @param {string} [options.rootDir] - Folder the assets are read from (defaults to the repository root)
+ * @returns {Array<{ source: string, output: string, content: Buffer }>} Assets that don't exist are left out
+ */
+function buildAssets({ fingerprint = false, rootDir = ROOT_DIR } = {}) {
+    const assets = [];
+    ASSETS.forEach(asset => {
+        let content;
+        try {
+            content = fs.readFileSync(path.join(rootDir, asset.source));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        const extension = path.extname(asset.source);
+        const output = fingerprint && asset.fingerprint
+            ? `${asset.source.slice(0, -extension.length)}.${hashOf(content)}${extension}`
+            : asset.source;
+        assets.push({ source: asset.source, output, content });
+    });
+    return assets;
+}
+
+// Escape a file name for use in a regular expression
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Point a page's links to assets at their published names
+ * Only href/src attributes that are the asset's path relative to the page ({{@base}}styles.css) change.
+ * @param {string} html
+ * @param {Array<{ source: string, output: string }>} assets - From buildAssets()
+ * @returns {string}
+ */
+function fingerprintLinks(html, assets) {
+    return assets.filter(asset => asset.output !== asset.source).reduce((result, asset) => {
+        const link = new RegExp(`((?:href|src)=")((?:\\.\\./)*)${escapeRegExp(asset.source)}"`, 'g');
+        return result.replace(link, `$1$2${asset.output}"`);
+    }, html);
+}
+
+/**
+ * Point fingerprinted links back at the plain files, e.g. for a published page written to the
+ * repository, where only styles.css and script.js exist
+ * @param {string} html
+ * @returns {string}
+ */
+function removeFingerprints(html) {
+    return ASSETS.filter(asset => asset.fingerprint).reduce((result, asset) => {
+        const extension = path.extname(asset.source);
+        const stem = escapeRegExp(asset.source.slice(0, -extension.length));
+        const link = new RegExp(`((?:href|src)="(?:\\.\\./)*)${stem}\\.[0-9a-f]{8}${escapeRegExp(extension)}"`, 'g');
+        return result.replace(link, `$1${asset.source}"`);
+    }, html);
+}
+
+/**
+ * Content-Type of a published file
+ * @param {string} name - e.g. 'about/index.html'
+ * @returns {string}
+ */
+function contentType(name) {
+    return CONTENT_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Cache-Control of a published file
+ * Fingerprinted files never change, so browsers and CDNs keep them for a year. Everything else
+ * (pages, data.json, testimonials.json) is checked with the server on every visit, so a publish
+ * shows at once.
+ * @param {string} name
+ * @returns {string}
+ */
+function cacheControl(name) {
+    return FINGERPRINTED.test(path.basename(name))
+        ? 'public, max-age=31536000, immutable'
+        : 'no-cache';
+}
+
+module.exports = { buildAssets, fingerprintLinks, removeFingerprints, contentType, cacheControl };
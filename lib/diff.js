@@ -0,0 +1,291 @@
+/**
+ * Data diff
+ * Field-by-field differences between two versions of data.json, with the same paths
+ * the editor uses elsewhere (e.g. portfolio.images[3].src). Lists are compared item by
+ * item, so moving a photo shows as a change of each position it passed through - unless
+ * { moves: true } is given, which reports reordered, added and removed list items as such
+ * (for people to read; applyDiff() only takes diffs made without it).
+ *
+ * diffLines() compares two texts line by line, e.g. the HTML of a page before and after.
+ *
+ * Usage:
+ *   const { diffData, summarizeDiff } = require('./lib/diff');
+ *   const changes = diffData(liveData, previewData);
+ *   // [{ path: 'hero.title', type: 'changed', before: 'Old', after: 'New' }, ...]
+ *   summarizeDiff(changes); // 'Changed hero.title'
+ *   applyDiff(previewData, changes, 'backward'); // liveData again
+ *
+ * Used by the editor server (publish history, undo/redo, review before publishing).
+ */
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Longest run of increasing numbers (not necessarily next to each other), as a set of positions
+function longestIncreasing(numbers) {
+    const lengths = numbers.map(() => 1);
+    const previous = numbers.map(() => -1);
+    numbers.forEach((number, i) => {
+        for (let j = 0; j < i; j++) {
+            if (numbers[j] < number && lengths[j] + 1 > lengths[i]) {
+                lengths[i] = lengths[j] + 1;
+                previous[i] = j;
+            }
+        }
+    });
+
+    const positions = new Set();
+    let position = lengths.indexOf(Math.max(0, ...lengths));
+    while (position >= 0) {
+        positions.add(position);
+        position = previous[position];
+    }
+    return positions;
+}
+
+// How list b was made from list a by moving, adding or removing whole items
+// Returns null when items were also edited, so the lists are compared position by position
+function matchListItems(a, b) {
+    const beforeKeys = a.map(item => JSON.stringify(item));
+    const used = new Set();
+    const from = b.map(item => {
+        const key = JSON.stringify(item);
+        const index = beforeKeys.findIndex((beforeKey, i) => beforeKey === key && !used.has(i));
+        if (index >= 0) used.add(index);
+        return index;
+    });
+
+    const added = from.filter(index => index < 0).length;
+    const removed = a.length - used.size;
+    if (added > 0 && removed > 0) return null;
+
+    const changes = [];
+    a.forEach((item, index) => {
+        if (!used.has(index)) changes.push({ index, type: 'removed', before: item });
+    });
+
+    // Items that kept their order relative to each other stayed put; the others were moved
+    const kept = from.map((index, to) => ({ from: index, to })).filter(item => item.from >= 0);
+    const stayed = longestIncreasing(kept.map(item => item.from));
+    kept.forEach((item, position) => {
+        if (!stayed.has(position)) changes.push({ index: item.to, type: 'moved', from: item.from, to: item.to, after: b[item.to] });
+    });
+
+    from.forEach((index, to) => {
+        if (index < 0) changes.push({ index: to, type: 'added', after: b[to] });
+    });
+    return changes;
+}
+
+/**
+ * Differences between two data objects
+ * @param {*} before
+ * @param {*} after
+ * @param {object} [options]
+ * @param {boolean} [options.moves] - Report reordered list items as 'moved' (with from and to indexes)
+ * @returns {Array<{path: string, type: 'added'|'removed'|'changed'|'moved', before?: *, after?: *, from?: number, to?: number}>}
+ *   Only leaves are listed, except for whole objects or lists that were added or removed.
+ *   Removed list items have their index in before, the others their index in after.
+ */
+function diffData(before, after, options = {}) {
+    const changes = [];
+
+    const walk = (a, b, dataPath) => {
+        const listChanges = options.moves && Array.isArray(a) && Array.isArray(b) ? matchListItems(a, b) : null;
+        if (listChanges) {
+            listChanges.forEach(({ index, ...change }) => changes.push({ path: `${dataPath}[${index}]`, ...change }));
+        } else if (Array.isArray(a) && Array.isArray(b)) {
+            for (let index = 0; index < Math.max(a.length, b.length); index++) {
+                const itemPath = `${dataPath}[${index}]`;
+                if (index >= a.length) changes.push({ path: itemPath, type: 'added', after: b[index] });
+                else if (index >= b.length) changes.push({ path: itemPath, type: 'removed', before: a[index] });
+                else walk(a[index], b[index], itemPath);
+            }
+        } else if (isObject(a) && isObject(b)) {
+            const keys = Object.keys(a).concat(Object.keys(b).filter(key => !(key in a)));
+            keys.forEach(key => {
+                const keyPath = dataPath ? `${dataPath}.${key}` : key;
+                if (!(key in b)) changes.push({ path: keyPath, type: 'removed', before: a[key] });
+                else if (!(key in a)) changes.push({ path: keyPath, type: 'added', after: b[key] });
+                else walk(a[key], b[key], keyPath);
+            });
+        } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+            changes.push({ path: dataPath, type: 'changed', before: a, after: b });
+        }
+    };
+
+    walk(before, after, '');
+    return changes;
+}
+
+/**
+ * One-line description of a diff, e.g. 'Changed hero.title, about.text and 3 more'
+ * @param {Array} changes - From diffData()
+ * @param {number} [limit] - Paths to name before "and N more"
+ * @returns {string}
+ */
+function summarizeDiff(changes, limit = 3) {
+    if (changes.length === 0) return 'No content changes';
+
+    const paths = changes.slice(0, limit).map(change => change.path);
+    const more = changes.length - paths.length;
+    const list = more > 0
+        ? `${paths.join(', ')} and ${more} more`
+        : paths.length > 1 ? `${paths.slice(0, -1).join(', ')} and ${paths[paths.length - 1]}` : paths[0];
+    return `Changed ${list}`;
+}
+
+// 'portfolio.images[3].src' → ['portfolio', 'images', 3, 'src']
+function parsePath(dataPath) {
+    const parts = [];
+    dataPath.split('.').forEach(segment => {
+        const match = segment.match(/^([^[]*)((?:\[\d+\])*)$/);
+        if (match[1]) parts.push(match[1]);
+        (match[2].match(/\d+/g) || []).forEach(index => parts.push(Number(index)));
+    });
+    return parts;
+}
+
+/**
+ * Value at a diff path
+ * @param {object} data
+ * @param {string} dataPath - e.g. 'portfolio.images[3].src'
+ * @returns {*} undefined if there is nothing there
+ */
+function getAtPath(data, dataPath) {
+    return parsePath(dataPath).reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), data);
+}
+
+/**
+ * Apply a diff to data, or undo it
+ * @param {object} data - Left unchanged
+ * @param {Array} changes - From diffData()
+ * @param {'forward'|'backward'} [direction] - forward turns before into after, backward after into before
+ * @returns {object} A copy with the changes applied
+ */
+function applyDiff(data, changes, direction = 'forward') {
+    const result = JSON.parse(JSON.stringify(data));
+    const operations = changes.map(change => {
+        const backward = direction === 'backward';
+        return {
+            parts: parsePath(change.path),
+            remove: change.type === (backward ? 'added' : 'removed'),
+            value: backward ? change.before : change.after
+        };
+    });
+
+    // Parent of a path, creating the objects and lists on the way when asked to
+    const parentOf = (parts, create) => {
+        let current = result;
+        for (let i = 0; i < parts.length - 1; i++) {
+            if (current[parts[i]] === undefined || current[parts[i]] === null) {
+                if (!create) return null;
+                current[parts[i]] = typeof parts[i + 1] === 'number' ? [] : {};
+            }
+            current = current[parts[i]];
+        }
+        return current;
+    };
+
+    // Removed list items are always at the end of their list; remove the last one first
+    operations.filter(operation => operation.remove).reverse().forEach(({ parts }) => {
+        const parent = parentOf(parts, false);
+        const key = parts[parts.length - 1];
+        if (Array.isArray(parent)) parent.splice(key, 1);
+        else if (parent) delete parent[key];
+    });
+    operations.filter(operation => !operation.remove).forEach(({ parts, value }) => {
+        parentOf(parts, true)[parts[parts.length - 1]] = JSON.parse(JSON.stringify(value));
+    });
+
+    return result;
+}
+
+/**
+ * Line-by-line differences between two texts, as hunks with a few unchanged lines around them
+ * @param {string} before
+ * @param {string} after
+ * @param {number} [context] - Unchanged lines shown before and after each change
+ * @returns {Array<{beforeLine: number, afterLine: number, lines: Array<{type: 'same'|'added'|'removed', text: string}>}>}
+ *   beforeLine and afterLine are where the hunk starts (1-based)
+ */
+function diffLines(before, after, context = 3) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    // Only the part between the common start and end needs comparing
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const lines = a.slice(0, start).map(text => ({ type: 'same', text }));
+    const m = endA - start;
+    const n = endB - start;
+    if (m * n > 4000000) {
+        // Too different to compare line by line - show it all as replaced
+        a.slice(start, endA).forEach(text => lines.push({ type: 'removed', text }));
+        b.slice(start, endB).forEach(text => lines.push({ type: 'added', text }));
+    } else {
+        // Longest common subsequence of the middle lines
+        const common = Array.from({ length: m + 1 }, () => new Uint32Array(n + 1));
+        for (let i = m - 1; i >= 0; i--) {
+            for (let j = n - 1; j >= 0; j--) {
+                common[i][j] = a[start + i] === b[start + j]
+                    ? common[i + 1][j + 1] + 1
+                    : Math.max(common[i + 1][j], common[i][j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < m || j < n) {
+            if (i < m && j < n && a[start + i] === b[start + j]) {
+                lines.push({ type: 'same', text: a[start + i] });
+                i++;
+                j++;
+            } else if (i < m && (j === n || common[i + 1][j] >= common[i][j + 1])) {
+                lines.push({ type: 'removed', text: a[start + i++] });
+            } else {
+                lines.push({ type: 'added', text: b[start + j++] });
+            }
+        }
+    }
+    a.slice(endA).forEach(text => lines.push({ type: 'same', text }));
+
+    // Group the changed lines into hunks; changes close together share one
+    const hunks = [];
+    let hunk = null;
+    let pending = []; // Unchanged lines since the last change of the current hunk
+    let beforeLine = 1;
+    let afterLine = 1;
+    lines.forEach((line, index) => {
+        if (line.type === 'same') {
+            if (hunk) pending.push(line);
+        } else {
+            if (hunk && pending.length > context * 2) {
+                hunk.lines.push(...pending.slice(0, context));
+                hunk = null;
+            }
+            if (!hunk) {
+                const shown = lines.slice(Math.max(0, index - context), index);
+                hunk = { beforeLine: beforeLine - shown.length, afterLine: afterLine - shown.length, lines: shown };
+                hunks.push(hunk);
+            } else {
+                hunk.lines.push(...pending);
+            }
+            pending = [];
+            hunk.lines.push(line);
+        }
+        if (line.type !== 'added') beforeLine++;
+        if (line.type !== 'removed') afterLine++;
+    });
+    if (hunk) hunk.lines.push(...pending.slice(0, context));
+    return hunks;
+}
+
+module.exports = { diffData, summarizeDiff, applyDiff, getAtPath, diffLines };
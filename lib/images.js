@@ -0,0 +1,199 @@
+/**
+ * Image URLs
+ * Templates refer to photos by file name; resolveImages() turns them into URLs under
+ * config.image_base_path when a page is rendered, so pages show their images without JavaScript:
+ *
+ *   <img data-src="IMG_1291.jpeg">       → <img src="https://.../photos/IMG_1291.jpeg" loading="lazy">
+ *   <section data-bg-image="IMG_7463.jpg"> → <section style="--bg-image: url('https://.../photos/IMG_7463.jpg')">
+ *
+ * Photos uploaded through the editor also get resized AVIF, WebP and JPEG copies
+ * (editor/images.js), recorded in photos.json:
+ *
+ *   { "IMG_1291.jpeg": { "width": 3024, "height": 4032, "widths": [480, 960, 1600, 2400], "formats": ["avif", "webp", "jpeg"] } }
+ *
+ * Their <img> becomes a <picture> with one <source> per format, and gets width/height/sizes/srcset.
+ * A focal point set in the editor's photo library ("focalPoint": { "x": 50, "y": 30 }, in percent)
+ * becomes object-position / background-position, so cropped photos keep their subject in view.
+ *
+ * Used by lib/pages.js (build and editor preview) and editor/images.js (upload).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./render');
+
+const MANIFEST_PATH = path.join(__dirname, '..', 'photos.json');
+const VARIANT_WIDTHS = [480, 960, 1600, 2400];
+const VARIANT_FORMATS = ['avif', 'webp', 'jpeg'];
+const DEFAULT_SIZES = '100vw';
+const ABSOLUTE_URL = /^([a-z][a-z0-9+.-]*:|\/)/i;
+
+// Blob name of a resized copy, e.g. variants/IMG_1291.jpeg-960.webp
+// (the original's extension is kept, so flowers.jpg and flowers.png don't share copies)
+function variantName(filename, width, format) {
+    return `variants/${filename}-${width}.${format === 'jpeg' ? 'jpg' : format}`;
+}
+
+// Load photos.json (an empty manifest if it doesn't exist yet)
+function loadManifest(manifestPath = MANIFEST_PATH) {
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw new Error(`Could not read ${path.basename(manifestPath)}: ${error.message}`);
+    }
+}
+
+function saveManifest(manifest, manifestPath = MANIFEST_PATH) {
+    const sorted = {};
+    Object.keys(manifest).sort().forEach(name => {
+        sorted[name] = manifest[name];
+    });
+    fs.writeFileSync(manifestPath, JSON.stringify(sorted, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * URL of a photo
+ * @param {string} filename - Blob name, e.g. 'IMG_1291.jpeg' or 'variants/IMG_1291.jpeg-960.webp'
+ * @param {string} imageBasePath - config.image_base_path
+ * @param {string} [base] - Path back to the site root ({{@base}}), for a relative imageBasePath
+ * @returns {string}
+ */
+function imageUrl(filename, imageBasePath, base = '') {
+    // Encoded so file names with spaces, commas or quotes work in srcset and url('...')
+    const encoded = filename.split('/').map(part => encodeURIComponent(part).replace(/'/g, '%27')).join('/');
+    const prefix = (imageBasePath || '').replace(/\/+$/, '');
+    if (!prefix) return base + encoded;
+    return `${ABSOLUTE_URL.test(prefix) ? '' : base}${prefix}/${encoded}`;
+}
+
+// Attribute values in rendered HTML are escaped by the renderer
+function unescapeAttribute(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+/**
+ * Resolve the data-src and data-bg-image photo names of a rendered page to URLs
+ * Images get loading="lazy" unless the template sets loading="...". A sizes="..." already
+ * on the <img> is kept and copied to its <source>s.
+ * @param {string} html
+ * @param {object} options
+ * @param {string} options.imageBasePath - config.image_base_path
+ * @param {string} [options.base] - Path back to the site root, for a relative imageBasePath
+ * @param {object} [options.manifest] - From loadManifest()
+ * @returns {string}
+ */
+function resolveImages(html, { imageBasePath, base = '', manifest = {} }) {
+    const url = filename => escapeHtml(imageUrl(filename, imageBasePath, base));
+
+    const position = filename => {
+        const focalPoint = manifest[filename] && manifest[filename].focalPoint;
+        return focalPoint ? `${focalPoint.x}% ${focalPoint.y}%` : null;
+    };
+
+    html = html.replace(/\sdata-bg-image="([^"]*)"/g, (attribute, value) => {
+        if (!value) return '';
+        const filename = unescapeAttribute(value);
+        const focus = position(filename);
+        return ` style="--bg-image: url('${url(filename)}')${focus ? `; background-position: ${focus}` : ''}"`;
+    });
+
+    return html.replace(/<img\b[^>]*>/g, tag => {
+        const src = getAttribute(tag, 'data-src');
+        if (src === null) return tag;
+        const filename = unescapeAttribute(src);
+
+        let img = tag.replace(/\s*\/?>$/, '').replace(/\sdata-src="[^"]*"/, ` src="${url(filename)}"`);
+        if (getAttribute(img, 'loading') === null) {
+            img += ' loading="lazy"';
+        }
+        const focus = position(filename);
+        if (focus && getAttribute(img, 'style') === null) {
+            img += ` style="object-position: ${focus}"`;
+        }
+
+        const entry = manifest[filename];
+        if (!entry || !entry.widths || entry.widths.length === 0) {
+            return img + '>';
+        }
+
+        const sizes = getAttribute(tag, 'sizes') || DEFAULT_SIZES;
+        const srcset = format => entry.widths.map(width => `${url(variantName(filename, width, format))} ${width}w`).join(', ');
+        const fallback = entry.formats.includes('jpeg') ? 'jpeg' : entry.formats[entry.formats.length - 1];
+
+        if (getAttribute(img, 'width') === null) {
+            img += ` width="${entry.width}" height="${entry.height}"`;
+        }
+        if (getAttribute(img, 'sizes') === null) {
+            img += ` sizes="${sizes}"`;
+        }
+        img += ` srcset="${srcset(fallback)}">`;
+
+        const sources = entry.formats
+            .filter(format => format !== fallback)
+            .map(format => `<source type="image/${format}" srcset="${srcset(format)}" sizes="${sizes}">`)
+            .join('');
+
+        return `<picture>${sources}${img}</picture>`;
+    });
+}
+
+/**
+ * Find where each photo is used in site data
+ * Looks at image fields (src, *_image) and at data-src/data-bg-image attributes inside
+ * HTML fields such as customHtml. Settings under config are skipped.
+ * @param {object} data - Site data
+ * @returns {Object<string, string[]>} e.g. { 'IMG_1291.jpeg': ['about.image.src', 'portfolio.images[3].src'] }
+ */
+function findPhotoReferences(data) {
+    const references = {};
+    const add = (filename, dataPath) => {
+        if (!filename) return;
+        if (!references[filename]) references[filename] = [];
+        if (!references[filename].includes(dataPath)) references[filename].push(dataPath);
+    };
+
+    const walk = (value, dataPath, key) => {
+        if (typeof value === 'string') {
+            if (key === 'src' || /_image$/.test(key)) {
+                add(value, dataPath);
+            }
+            const attributes = /\sdata-(?:src|bg-image)="([^"]*)"/g;
+            let match;
+            while ((match = attributes.exec(value)) !== null) {
+                add(unescapeAttribute(match[1]), dataPath);
+            }
+        } else if (Array.isArray(value)) {
+            value.forEach((item, index) => walk(item, `${dataPath}[${index}]`, key));
+        } else if (value && typeof value === 'object') {
+            Object.keys(value).forEach(child => {
+                if (!dataPath && child === 'config') return;
+                walk(value[child], dataPath ? `${dataPath}.${child}` : child, child);
+            });
+        }
+    };
+
+    walk(data, '', '');
+    return references;
+}
+
+module.exports = {
+    resolveImages,
+    imageUrl,
+    findPhotoReferences,
+    loadManifest,
+    saveManifest,
+    variantName,
+    VARIANT_WIDTHS,
+    VARIANT_FORMATS
+};
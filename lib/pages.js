@@ -0,0 +1,160 @@
+/**
+ * Site pages
+ * The home page is index.template.html → index.html. Every pages/<name>.template.html
+ * is another page, built to <name>/index.html. Pages listed in collectionPages are built
+ * once per item of a data.json list, e.g. portfolio/<slug>/index.html for each gallery.
+ * Used by build.js and the editor server.
+ *
+ * A page's placeholders resolve against data.pages.<name> first and then the rest of
+ * data.json, so {{title}} is the page title and {{site.logo}} still works.
+ * A collection page resolves against its item instead (portfolio.galleries.<index>).
+ * Each page also gets {{@page}} (its name) and {{@base}} (the path back to the site
+ * root, '' for the home page, '../' for about/ and '../../' for portfolio/<slug>/).
+ *
+ * Usage:
+ *   const { listPages, renderSite } = require('./lib/pages');
+ *   const { pages, unresolved, unusedKeys } = renderSite(data);
+ *   // pages: [{ name: 'about', template: 'pages/about.template.html', output: 'about/index.html', html }]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { renderWithReport, getValue } = require('./render');
+const { resolveImages, loadManifest } = require('./images');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const TEMPLATE_SUFFIX = '.template.html';
+const PAGE_NAME = /^[a-z0-9-]+$/;
+
+// Pages built once per item of a data.json list; {slug} is replaced by the item's slug
+const collectionPages = [
+    { template: 'pages/portfolio/gallery.template.html', items: 'portfolio.galleries', name: 'portfolio/{slug}' }
+];
+
+function basePath(name) {
+    return '../'.repeat(name.split('/').length);
+}
+
+/**
+ * List the pages of the site, home page first
+ * @param {object} [data] - Site data; without it, collection pages (e.g. galleries) are not listed
+ * @param {string} [rootDir] - Site folder (defaults to the repository root)
+ * @returns {Array<{name: string, template: string, output: string, base: string, contextPath: string, title?: string}>}
+ *   template and output are relative to rootDir
+ */
+function listPages(data = null, rootDir = ROOT_DIR) {
+    const pages = [{ name: 'index', template: 'index.template.html', output: 'index.html', base: '', contextPath: '' }];
+
+    let files = [];
+    try {
+        files = fs.readdirSync(path.join(rootDir, 'pages'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    files.filter(file => file.endsWith(TEMPLATE_SUFFIX)).sort().forEach(file => {
+        const name = file.slice(0, -TEMPLATE_SUFFIX.length);
+        if (!PAGE_NAME.test(name) || name === 'index') {
+            throw new Error(`Invalid page template name "pages/${file}" (use lowercase letters, numbers and dashes)`);
+        }
+        pages.push({ name, template: `pages/${file}`, output: `${name}/index.html`, base: basePath(name), contextPath: `pages.${name}` });
+    });
+
+    if (data) {
+        collectionPages.forEach(collection => {
+            const items = getValue(data, collection.items) || [];
+            items.forEach((item, index) => {
+                if (!item || !PAGE_NAME.test(item.slug || '')) {
+                    throw new Error(`${collection.items}[${index}].slug must use only lowercase letters, numbers and dashes`);
+                }
+                const name = collection.name.replace('{slug}', item.slug);
+                if (pages.some(page => page.name === name)) {
+                    throw new Error(`Two pages would be built to ${name}/index.html (${collection.items}[${index}].slug is "${item.slug}")`);
+                }
+                pages.push({
+                    name,
+                    template: collection.template,
+                    output: `${name}/index.html`,
+                    base: basePath(name),
+                    contextPath: `${collection.items}.${index}`,
+                    title: item.title
+                });
+            });
+        });
+    }
+
+    return pages;
+}
+
+/**
+ * Find a page by name
+ * @param {string} name - Page name, e.g. 'index', 'about' or 'portfolio/smith-wedding'
+ * @param {object} [data] - Site data, needed to find collection pages
+ * @param {string} [rootDir]
+ * @returns {object|null}
+ */
+function findPage(name, data = null, rootDir = ROOT_DIR) {
+    return listPages(data, rootDir).find(page => page.name === name) || null;
+}
+
+/**
+ * Render one page
+ * @param {object} page - From listPages()
+ * @param {object} data - Site data
+ * @param {object} [options] - renderWithReport() options, plus rootDir, base, imageBasePath and manifest
+ *   (base overrides {{@base}}, e.g. '' for the editor preview where every page is served from one URL;
+ *   imageBasePath overrides config.image_base_path, e.g. for photos the editor keeps in a local folder;
+ *   manifest is photos.json, loaded if not given)
+ * @returns {{ html: string, unresolved: Array, unusedKeys: string[] }}
+ */
+function renderPage(page, data, options = {}) {
+    const template = fs.readFileSync(path.join(options.rootDir || ROOT_DIR, page.template), 'utf8');
+    const base = options.base !== undefined ? options.base : page.base;
+    const report = renderWithReport(template, data, {
+        ...options,
+        templateName: page.template,
+        contextPath: page.contextPath,
+        globals: { base, page: page.name }
+    });
+
+    // Photo names → URLs under config.image_base_path, with srcset for resized copies
+    report.html = resolveImages(report.html, {
+        imageBasePath: options.imageBasePath !== undefined ? options.imageBasePath : getValue(data, 'config.image_base_path'),
+        base,
+        manifest: options.manifest || loadManifest()
+    });
+    return report;
+}
+
+/**
+ * Render every page
+ * A data.json key is only reported as unused if no page uses it.
+ * @param {object} data - Site data
+ * @param {object} [options] - Same as renderPage()
+ * @returns {{ pages: Array<{name: string, template: string, output: string, html: string}>, unresolved: Array, unusedKeys: string[] }}
+ */
+function renderSite(data, options = {}) {
+    const pageOptions = { ...options, manifest: options.manifest || loadManifest() };
+    const results = listPages(data, options.rootDir).map(page => ({ page, report: renderPage(page, data, pageOptions) }));
+
+    // Collection pages share a template, so report each template location once
+    const seen = new Set();
+    const unresolved = [].concat(...results.map(result => result.report.unresolved)).filter(item => {
+        const key = `${item.file}:${item.line}:${item.placeholder}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    const unusedKeys = results.reduce(
+        (keys, result) => keys.filter(key => result.report.unusedKeys.includes(key)),
+        results[0].report.unusedKeys
+    );
+
+    return {
+        pages: results.map(result => ({ ...result.page, html: result.report.html })),
+        unresolved,
+        unusedKeys
+    };
+}
+
+module.exports = { listPages, findPage, renderPage, renderSite };
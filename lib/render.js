@@ -0,0 +1,472 @@
+/**
+ * Shared template renderer
+ * Used by build.js and the editor server so the preview and the published
+ * index.html are always produced by the same code.
+ *
+ * Usage:
+ *   const { render } = require('./lib/render');
+ *   const html = render(template, data);
+ *
+ * From ESM (editor/server.js):
+ *   import { render } from '../lib/render.js';
+ *
+ * Template syntax (a small Handlebars subset, see TEMPLATE_GUIDE.md):
+ *   {{path}}                      HTML-escaped value
+ *   {{{path}}}                    raw value (for fields that contain markup like <br>)
+ *   {{#if path}}...{{else}}...{{/if}}, {{#unless path}}...{{/unless}}
+ *   {{#each path}}...{{else}}...{{/each}} with this, this.prop, @index, @first, @last, @key, ../prop
+ *   {{> partial}}                 include partials/partial.html with the current context
+ *   {{@base}}, {{@page}}          values passed in options.globals (lib/pages.js sets these)
+ *   {{! comment}}
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PARTIALS_DIR = path.join(__dirname, '..', 'partials');
+const MAX_PARTIAL_DEPTH = 20;
+
+// Map of section identifiers to data paths
+// Sections listed here can have their inner HTML replaced by <path>.customHtml
+const sectionMap = [
+    { id: 'home', class: 'hero', path: 'hero' },
+    { class: 'experience-section', path: 'experience' },
+    { class: 'testimonial-section', path: 'testimonial' },
+    { id: 'about', class: 'about-section', path: 'about' },
+    { id: 'services', class: 'services-section', path: 'services' },
+    { id: 'portfolio', class: 'portfolio-section', path: 'portfolio' },
+    { class: 'standards-section', path: 'standards' },
+    { class: 'location-section', path: 'location' },
+    { id: 'contact', class: 'contact-section', path: 'contact' }
+];
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;'
+};
+
+// Helper function to get nested value from object using dot notation
+function getValue(obj, path) {
+    return path.split('.').reduce((current, prop) => current && current[prop], obj);
+}
+
+// Escape a value for safe insertion into HTML text or a double-quoted attribute
+// (not ', so text like "Anna's" renders as it always has; templates quote attributes with ")
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"]/g, ch => HTML_ESCAPES[ch]);
+}
+
+/**
+ * Parse a template into a tree of nodes
+ * Node types: text, var, block (if/unless/each), partial
+ * @param {string} template
+ * @param {string} [file] - Name used in reports, e.g. index.template.html
+ * @returns {Array} nodes
+ */
+function parse(template, file = 'template') {
+    const tagRegex = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+    const root = { children: [] };
+    const stack = [{ node: root, target: root.children }];
+    let lastIndex = 0;
+    let line = 1;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+
+    while ((match = tagRegex.exec(template)) !== null) {
+        if (match.index > lastIndex) {
+            const text = template.slice(lastIndex, match.index);
+            current().target.push({ type: 'text', value: text });
+            line += text.split('\n').length - 1;
+        }
+        lastIndex = tagRegex.lastIndex;
+
+        const raw = match[0];
+        const tagLine = line;
+        line += raw.split('\n').length - 1;
+
+        // Triple braces: unescaped value
+        if (match[1] !== undefined) {
+            current().target.push({ type: 'var', path: match[1], escape: false, raw, file, line: tagLine });
+            continue;
+        }
+
+        const tag = match[2];
+
+        if (tag.startsWith('!')) {
+            continue;
+        }
+
+        if (tag.startsWith('#')) {
+            const blockMatch = tag.match(/^#(\w+)\s+(.+)$/);
+            if (!blockMatch || !['if', 'unless', 'each'].includes(blockMatch[1])) {
+                throw new Error(`Unknown block helper "${raw}" on line ${tagLine}`);
+            }
+            const block = {
+                type: 'block',
+                helper: blockMatch[1],
+                path: blockMatch[2].trim(),
+                children: [],
+                inverse: null,
+                raw,
+                file,
+                line: tagLine
+            };
+            current().target.push(block);
+            stack.push({ node: block, target: block.children });
+            continue;
+        }
+
+        if (tag.startsWith('/')) {
+            const helper = tag.slice(1).trim();
+            const open = current().node;
+            if (stack.length === 1) {
+                throw new Error(`Unexpected "${raw}" on line ${tagLine}`);
+            }
+            if (open.helper !== helper) {
+                throw new Error(`"${raw}" on line ${tagLine} does not close {{#${open.helper}}} opened on line ${open.line}`);
+            }
+            stack.pop();
+            continue;
+        }
+
+        if (tag === 'else') {
+            const open = current().node;
+            if (stack.length === 1 || open.inverse) {
+                throw new Error(`Unexpected {{else}} on line ${tagLine}`);
+            }
+            open.inverse = [];
+            current().target = open.inverse;
+            continue;
+        }
+
+        if (tag.startsWith('>')) {
+            const [name, contextPath] = tag.slice(1).trim().split(/\s+/);
+            current().target.push({ type: 'partial', name, path: contextPath || null, raw, line: tagLine });
+
+            // A partial tag on a line of its own doesn't add a line break (partials end with their own)
+            const before = template.slice(template.lastIndexOf('\n', match.index - 1) + 1, match.index);
+            const after = template.slice(lastIndex).match(/^[ \t]*\r?\n/);
+            if (after && /^[ \t]*$/.test(before)) {
+                const previous = current().target[current().target.length - 2];
+                if (before && previous && previous.type === 'text') {
+                    previous.value = previous.value.slice(0, -before.length);
+                }
+                lastIndex += after[0].length;
+                tagRegex.lastIndex = lastIndex;
+                line++;
+            }
+            continue;
+        }
+
+        current().target.push({ type: 'var', path: tag, escape: true, raw, file, line: tagLine });
+    }
+
+    if (lastIndex < template.length) {
+        current().target.push({ type: 'text', value: template.slice(lastIndex) });
+    }
+
+    if (stack.length > 1) {
+        const open = current().node;
+        throw new Error(`Unclosed {{#${open.helper}}} opened on line ${open.line}`);
+    }
+
+    return root.children;
+}
+
+// Paths relative to the current loop item (this, @index, ../) render empty when missing;
+// top-level paths are left in the output so a typo is visible on the page
+function isLocalPath(expr) {
+    return expr === 'this' || expr.startsWith('this.') || expr.startsWith('@') || expr.startsWith('../');
+}
+
+// Join data path segments, writing array positions as [] so every item of a list shares one path
+function joinPath(base, rest) {
+    const normalized = rest.split('.').map(part => (/^\d+$/.test(part) ? '[]' : part)).join('.').replace(/\.\[\]/g, '[]');
+    if (!base) return normalized;
+    return normalized.startsWith('[]') ? base + normalized : `${base}.${normalized}`;
+}
+
+// Resolve an expression against the current scope
+// Returns the value and the data path it was read from (null for @index and friends)
+function resolve(expr, scope) {
+    if (expr.startsWith('@root')) {
+        if (expr === '@root') return { value: scope.root, path: '' };
+        const rest = expr.slice('@root.'.length);
+        return { value: getValue(scope.root, rest), path: joinPath('', rest) };
+    }
+    if (expr.startsWith('@')) {
+        return { value: scope.frame ? scope.frame[expr.slice(1)] : undefined, path: null };
+    }
+    if (expr.startsWith('../')) {
+        return scope.parent ? resolve(expr.slice(3), scope.parent) : { value: undefined, path: null };
+    }
+    if (expr === 'this') {
+        return { value: scope.context, path: scope.path };
+    }
+    if (expr.startsWith('this.')) {
+        const rest = expr.slice('this.'.length);
+        return { value: getValue(scope.context, rest), path: joinPath(scope.path, rest) };
+    }
+
+    // Bare paths resolve against the current item first, then the data root
+    if (scope.context !== null && typeof scope.context === 'object') {
+        const value = getValue(scope.context, expr);
+        if (value !== undefined) return { value, path: joinPath(scope.path, expr) };
+    }
+    return { value: getValue(scope.root, expr), path: joinPath('', expr) };
+}
+
+function isEmpty(value) {
+    return !value || (Array.isArray(value) && value.length === 0);
+}
+
+// Record a placeholder that did not resolve, once per template location
+function addUnresolved(node, state) {
+    const key = `${node.file}:${node.line}:${node.raw}`;
+    if (!state.unresolvedKeys.has(key)) {
+        state.unresolvedKeys.add(key);
+        state.unresolved.push({ file: node.file, line: node.line, placeholder: node.raw });
+    }
+}
+
+function loadPartial(name, line, state) {
+    if (state.partialCache[name]) {
+        return state.partialCache[name];
+    }
+
+    let source = state.partials[name];
+    if (source === undefined) {
+        if (!/^[\w-]+(\/[\w-]+)*$/.test(name)) {
+            throw new Error(`Invalid partial name "${name}" on line ${line}`);
+        }
+        try {
+            source = fs.readFileSync(path.join(state.partialsDir, `${name}.html`), 'utf8');
+        } catch (error) {
+            throw new Error(`Partial "${name}" not found on line ${line}`);
+        }
+    }
+
+    let nodes;
+    try {
+        nodes = parse(source, `partials/${name}.html`);
+    } catch (error) {
+        throw new Error(`In partial "${name}": ${error.message}`);
+    }
+    state.partialCache[name] = nodes;
+    return nodes;
+}
+
+function renderNodes(nodes, scope, state) {
+    let output = '';
+
+    nodes.forEach(node => {
+        if (node.type === 'text') {
+            output += node.value;
+            return;
+        }
+
+        if (node.type === 'var') {
+            const { value, path: dataPath } = resolve(node.path, scope);
+            if (value === undefined) {
+                addUnresolved(node, state);
+                output += isLocalPath(node.path) ? '' : node.raw;
+            } else {
+                if (dataPath !== null) state.used.add(dataPath);
+                if (value !== null) {
+                    output += node.escape ? escapeHtml(value) : String(value);
+                }
+            }
+            return;
+        }
+
+        if (node.type === 'partial') {
+            if (state.depth >= MAX_PARTIAL_DEPTH) {
+                throw new Error(`Partials nested more than ${MAX_PARTIAL_DEPTH} deep at "${node.name}" (line ${node.line})`);
+            }
+            const partialNodes = loadPartial(node.name, node.line, state);
+            let partialScope = scope;
+            if (node.path) {
+                const { value, path: dataPath } = resolve(node.path, scope);
+                partialScope = { ...scope, context: value, path: dataPath || '', parent: scope };
+            }
+            state.depth++;
+            output += renderNodes(partialNodes, partialScope, state);
+            state.depth--;
+            return;
+        }
+
+        const { value, path: dataPath } = resolve(node.path, scope);
+
+        if (node.helper === 'if' || node.helper === 'unless') {
+            // Testing a plain value uses it, so an empty optional field isn't reported as unused
+            if (dataPath !== null && value !== undefined && (value === null || typeof value !== 'object')) {
+                state.used.add(dataPath);
+            }
+            const truthy = node.helper === 'if' ? !isEmpty(value) : isEmpty(value);
+            if (truthy) {
+                output += renderNodes(node.children, scope, state);
+            } else if (node.inverse) {
+                output += renderNodes(node.inverse, scope, state);
+            }
+            return;
+        }
+
+        // {{#each}} over arrays (with @index/@first/@last) or objects (with @key)
+        if (value === undefined) {
+            addUnresolved(node, state);
+        }
+
+        let entries = [];
+        const itemPath = (key) => joinPath(dataPath || '', String(key));
+        if (Array.isArray(value)) {
+            entries = value.map((item, index) => ({ item, key: index }));
+        } else if (value !== null && typeof value === 'object') {
+            entries = Object.keys(value).map(key => ({ item: value[key], key }));
+        }
+
+        if (entries.length === 0) {
+            // An empty list is still used by the template
+            if (value !== undefined && dataPath !== null) state.used.add(dataPath);
+            if (node.inverse) {
+                output += renderNodes(node.inverse, scope, state);
+            }
+            return;
+        }
+
+        entries.forEach(({ item, key }, index) => {
+            const itemScope = {
+                context: item,
+                path: itemPath(key),
+                root: scope.root,
+                parent: scope,
+                frame: {
+                    ...state.globals,
+                    index,
+                    key,
+                    first: index === 0,
+                    last: index === entries.length - 1
+                }
+            };
+            output += renderNodes(node.children, itemScope, state);
+        });
+    });
+
+    return output;
+}
+
+// List every leaf path in the data (arrays written as [], empty lists and objects count as leaves)
+function collectLeafPaths(value, base, paths) {
+    if (Array.isArray(value)) {
+        if (value.length === 0) paths.add(base);
+        value.forEach(item => collectLeafPaths(item, base + '[]', paths));
+    } else if (value !== null && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 0 && base) paths.add(base);
+        keys.forEach(key => collectLeafPaths(value[key], base ? `${base}.${key}` : key, paths));
+    } else {
+        paths.add(base);
+    }
+    return paths;
+}
+
+// True if path equals prefix or is nested inside it
+function isWithin(path, prefix) {
+    return path === prefix || path.startsWith(prefix + '.') || path.startsWith(prefix + '[]');
+}
+
+/**
+ * Render a template and report what the data and template did not agree on
+ * Used by strict builds (node build.js --strict) and before publishing from the editor.
+ * The `config` section holds build settings and is never reported as unused; paths listed in
+ * config.strict_ignore_keys (e.g. sections kept for later) are skipped too.
+ * @param {string} template
+ * @param {object} data
+ * @param {object} [options] - Same options as render(), plus templateName for the report
+ * @returns {{ html: string, unresolved: Array<{file: string, line: number, placeholder: string}>, unusedKeys: string[] }}
+ */
+function renderWithReport(template, data, options = {}) {
+    const log = options.log || console.log;
+    const state = {
+        partials: options.partials || {},
+        partialsDir: options.partialsDir || DEFAULT_PARTIALS_DIR,
+        partialCache: {},
+        globals: options.globals || {},
+        depth: 0,
+        used: new Set(),
+        unresolved: [],
+        unresolvedKeys: new Set()
+    };
+
+    // Bare paths resolve against options.contextPath (e.g. pages.about) first, then the data root
+    const contextPath = options.contextPath || '';
+    const context = contextPath ? getValue(data, contextPath) : data;
+
+    const nodes = parse(template, options.templateName || 'template');
+    let html = renderNodes(nodes, {
+        context: context === undefined ? {} : context,
+        path: contextPath ? joinPath('', contextPath) : '',
+        root: data,
+        parent: null,
+        frame: state.globals
+    }, state);
+
+    // For each section, check if customHtml exists and replace the inner content
+    sectionMap.forEach(section => {
+        const customHtml = getValue(data, section.path + '.customHtml');
+
+        if (customHtml) {
+            state.used.add(section.path + '.customHtml');
+
+            // Build regex to match the section opening tag
+            let pattern = '<section[^>]*';
+            if (section.id) {
+                pattern += `id="${section.id}"[^>]*`;
+            }
+            if (section.class) {
+                pattern += `class="[^"]*${section.class}[^"]*"[^>]*`;
+            }
+            pattern += '>([\\s\\S]*?)</section>';
+
+            const sectionRegex = new RegExp(pattern, 'i');
+            const sectionMatch = html.match(sectionRegex);
+
+            if (sectionMatch) {
+                // Replace the inner content with custom HTML, keeping the opening and closing tags
+                html = html.replace(sectionRegex, (match, innerContent) => {
+                    return match.replace(innerContent, customHtml);
+                });
+                log(`✓ Using custom HTML for ${section.path} section`);
+            }
+        }
+    });
+
+    const ignored = ['config'].concat(getValue(data, 'config.strict_ignore_keys') || []);
+    const used = Array.from(state.used);
+    const unusedKeys = Array.from(collectLeafPaths(data, '', new Set())).filter(leaf =>
+        !ignored.some(prefix => isWithin(leaf, prefix)) &&
+        !used.some(usedPath => isWithin(leaf, usedPath))
+    );
+
+    return { html, unresolved: state.unresolved, unusedKeys };
+}
+
+/**
+ * Render a template with data
+ * @param {string} template - Template source (e.g. index.template.html)
+ * @param {object} data - Site data (e.g. data.json)
+ * @param {object} [options]
+ * @param {function} [options.log] - Called with progress messages (defaults to console.log)
+ * @param {string} [options.partialsDir] - Folder for {{> name}} includes (defaults to partials/)
+ * @param {object} [options.partials] - Partial sources by name, checked before partialsDir
+ * @param {string} [options.contextPath] - Data path that bare placeholders resolve against first
+ * @param {object} [options.globals] - Values available as {{@name}} everywhere in the template
+ * @returns {string} Rendered HTML
+ */
+function render(template, data, options = {}) {
+    return renderWithReport(template, data, options).html;
+}
+
+module.exports = { render, renderWithReport, parse, getValue, escapeHtml, sectionMap };
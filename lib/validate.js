@@ -0,0 +1,146 @@
+/**
+ * data.json validation
+ * Checks site data against data.schema.json. Used by build.js, and by the editor
+ * server when saving the preview and before publishing.
+ *
+ * Supports the subset of JSON Schema (draft-07) that data.schema.json uses:
+ * type, properties, required, additionalProperties, items, enum, minLength,
+ * maxLength, pattern, minimum, maximum, minItems, maxItems, $ref to #/definitions.
+ *
+ * Usage:
+ *   const { validate } = require('./lib/validate');
+ *   const errors = validate(data);
+ *   // [{ path: 'hero.image.src', message: 'is required' }, ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'data.schema.json');
+
+let cachedSchema = null;
+
+// Load data.schema.json (cached after the first call)
+function loadSchema() {
+    if (!cachedSchema) {
+        cachedSchema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    }
+    return cachedSchema;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+// Paths use the same notation as the editor: services.items[0].title
+function childPath(base, key) {
+    if (typeof key === 'number') return `${base}[${key}]`;
+    return base ? `${base}.${key}` : key;
+}
+
+function resolveRef(schema, root) {
+    if (!schema.$ref) return schema;
+    const name = schema.$ref.replace(/^#\/definitions\//, '');
+    const target = root.definitions && root.definitions[name];
+    if (!target) {
+        throw new Error(`Unknown schema reference ${schema.$ref}`);
+    }
+    return resolveRef(target, root);
+}
+
+function check(value, schema, root, dataPath, errors) {
+    schema = resolveRef(schema, root);
+    const label = dataPath || '(root)';
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path: label, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: label, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({
+                path: label,
+                message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`
+            });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path: label, message: `must be at most ${schema.maxLength} characters (is ${value.length})` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: label, message: schema.patternMessage || `does not match ${schema.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: label, message: `must be at least ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: label, message: `must be at most ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: label, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path: label, message: `must have at most ${schema.maxItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(item, schema.items, root, childPath(dataPath, index), errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: childPath(dataPath, key), message: 'is required' });
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            // Own keys only, so fields like "constructor" aren't taken for schema properties
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                check(value[key], properties[key], root, childPath(dataPath, key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath(dataPath, key), message: 'is not a known field' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(value[key], schema.additionalProperties, root, childPath(dataPath, key), errors);
+            }
+        });
+    }
+}
+
+/**
+ * Validate site data
+ * @param {object} data - Parsed data.json (or data-preview.json)
+ * @param {object} [schema] - Schema to use instead of data.schema.json
+ * @returns {Array<{path: string, message: string}>} Field-level errors (empty if valid)
+ */
+function validate(data, schema = loadSchema()) {
+    const errors = [];
+    check(data, schema, schema, '', errors);
+    return errors;
+}
+
+module.exports = { validate, loadSchema };
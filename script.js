@@ -1,103 +1,3 @@
-// Image path configuration - set image sources from data-src attributes
-function initializeImagePaths() {
-    // Get IMAGE_BASE_PATH from global scope (defined in HTML head)
-    let imageBasePath = window.IMAGE_BASE_PATH;
-    
-    // Fallback to const if window doesn't have it
-    if (!imageBasePath && typeof IMAGE_BASE_PATH !== 'undefined') {
-        imageBasePath = IMAGE_BASE_PATH;
-    }
-    
-    // Final fallback
-    if (!imageBasePath) {
-        imageBasePath = 'downloaded_images';
-    }
-    
-    // Remove trailing slash if present
-    imageBasePath = imageBasePath.toString().replace(/\/$/, '');
-    
-    // Set all image src attributes from data-src
-    const images = document.querySelectorAll('img[data-src]');
-    
-    images.forEach(img => {
-        const filename = img.getAttribute('data-src');
-        if (!filename) {
-            return;
-        }
-        
-        // Construct full path
-        const fullPath = `${imageBasePath}/${filename}`;
-        img.src = fullPath;
-        // Remove data-src to prevent lazy loading code from overwriting it
-        img.removeAttribute('data-src');
-    });
-    
-    // Set CSS custom properties for background images
-    const root = document.documentElement;
-    root.style.setProperty('--bg-image-1', `url('${imageBasePath}/IMG_3385.jpg')`);
-    root.style.setProperty('--bg-image-2', `url('${imageBasePath}/IMG_7463.jpg')`);
-    root.style.setProperty('--bg-image-3', `url('${imageBasePath}/IMG_2532.jpg')`);
-    
-    // Set hero section background image from data attribute
-    const heroSection = document.querySelector('.hero');
-    if (heroSection) {
-        const heroImage = heroSection.getAttribute('data-bg-image');
-        if (heroImage) {
-            root.style.setProperty('--hero-bg-image', `url('${imageBasePath}/${heroImage}')`);
-        }
-    }
-    
-    // Set contact section background image from data attribute
-    const contactSection = document.querySelector('.contact-section');
-    if (contactSection) {
-        const contactImage = contactSection.getAttribute('data-bg-image');
-        if (contactImage) {
-            root.style.setProperty('--contact-bg-image', `url('${imageBasePath}/${contactImage}')`);
-        }
-    }
-    
-    // Initialize modal after images are loaded (small delay to ensure src is set)
-    setTimeout(() => {
-        initializeModal();
-    }, 100);
-    
-    // Set minimum date for event date input (60 days from today)
-    const eventDateInput = document.getElementById('event-date');
-    if (eventDateInput) {
-        const today = new Date();
-        const minDate = new Date(today);
-        minDate.setDate(today.getDate() + 60);
-        const minDateString = minDate.toISOString().split('T')[0];
-        eventDateInput.setAttribute('min', minDateString);
-        
-        // Set default value to 90 days from today if not already set
-        if (!eventDateInput.value) {
-            const defaultDate = new Date(today);
-            defaultDate.setDate(today.getDate() + 90);
-            const defaultDateString = defaultDate.toISOString().split('T')[0];
-            eventDateInput.value = defaultDateString;
-        }
-    }
-}
-
-// Wait for DOM to be ready and ensure IMAGE_BASE_PATH is set
-function waitForImageBasePath() {
-    if (typeof window.IMAGE_BASE_PATH === 'undefined' && typeof IMAGE_BASE_PATH === 'undefined') {
-        // Wait a bit more for the inline script to execute
-        setTimeout(waitForImageBasePath, 10);
-        return;
-    }
-    initializeImagePaths();
-}
-
-// Wait for DOM to be ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', waitForImageBasePath);
-} else {
-    // DOM is already loaded, but wait for IMAGE_BASE_PATH
-    waitForImageBasePath();
-}
-
 // Mobile Navigation Toggle
 const hamburger = document.querySelector('.hamburger');
 const navMenu = document.querySelector('.nav-menu');
@@ -166,31 +66,24 @@ if (contactForm) {
     });
 }
 
-// Lazy loading images (optional enhancement)
-// Note: This only runs for images that still have data-src after initialization
-// Since we set all src attributes immediately, this is mainly for any dynamically added images
-if ('IntersectionObserver' in window) {
-    const imageObserver = new IntersectionObserver((entries, observer) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                const img = entry.target;
-                if (img.dataset.src) {
-                    // Use the full path if IMAGE_BASE_PATH is available
-                    const imageBasePath = window.IMAGE_BASE_PATH || IMAGE_BASE_PATH || 'downloaded_images';
-                    const filename = img.dataset.src;
-                    const fullPath = `${imageBasePath}/${filename}`;
-                    img.src = fullPath;
-                    img.removeAttribute('data-src');
-                    observer.unobserve(img);
-                }
-            }
-        });
-    });
-
-    // Only observe images that still have data-src (shouldn't be any after initialization)
-    document.querySelectorAll('img[data-src]').forEach(img => {
-        imageObserver.observe(img);
-    });
+// Event date input: earliest bookable date is 60 days from today
+function initializeEventDateInput() {
+    const eventDateInput = document.getElementById('event-date');
+    if (eventDateInput) {
+        const today = new Date();
+        const minDate = new Date(today);
+        minDate.setDate(today.getDate() + 60);
+        const minDateString = minDate.toISOString().split('T')[0];
+        eventDateInput.setAttribute('min', minDateString);
+        
+        // Set default value to 90 days from today if not already set
+        if (!eventDateInput.value) {
+            const defaultDate = new Date(today);
+            defaultDate.setDate(today.getDate() + 90);
+            const defaultDateString = defaultDate.toISOString().split('T')[0];
+            eventDateInput.value = defaultDateString;
+        }
+    }
 }
 
 // Add fade-in animation on scroll
@@ -232,15 +125,26 @@ function initializeModal() {
         img.id !== 'modalImage' && !img.closest('#imageModal') && img.src && !img.classList.contains('no-modal')
     );
     
-    pageImages = images.map(img => ({
-        src: img.src,
-        alt: img.alt || 'Image'
-    }));
+    // Images inside a [data-gallery] element only page through their own gallery
+    const galleries = {};
     
     // Make images clickable
-    images.forEach((img, index) => {
+    images.forEach(img => {
+        const gallery = img.closest('[data-gallery]');
+        const key = gallery ? gallery.getAttribute('data-gallery') : '';
+        if (!galleries[key]) galleries[key] = [];
+        
+        const index = galleries[key].length;
+        galleries[key].push({
+            src: img.src,
+            alt: img.alt || 'Image'
+        });
+        
         img.style.cursor = 'pointer';
-        img.addEventListener('click', () => openModal(index));
+        img.addEventListener('click', () => {
+            pageImages = galleries[key];
+            openModal(index);
+        });
     });
 }
 
@@ -548,9 +452,57 @@ function handleTestimonialSwipe() {
     }, { passive: true });
 }
 
-// Initialize testimonials on page load
+// Portfolio gallery filters - one button per tag found on the gallery cards
+function initializeGalleryFilters() {
+    const filters = document.querySelector('.gallery-filters');
+    const cards = Array.from(document.querySelectorAll('.gallery-card'));
+    if (!filters || cards.length === 0) return;
+    
+    const cardTags = card => (card.getAttribute('data-tags') || '').split(/\s+/).filter(Boolean);
+    const tags = [];
+    cards.forEach(card => {
+        cardTags(card).forEach(tag => {
+            if (!tags.includes(tag)) tags.push(tag);
+        });
+    });
+    if (tags.length < 2) return;
+    
+    ['all', ...tags].forEach(tag => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'gallery-filter' + (tag === 'all' ? ' active' : '');
+        button.textContent = tag === 'all' ? 'All' : tag.replace(/-/g, ' ');
+        
+        button.addEventListener('click', () => {
+            filters.querySelectorAll('.gallery-filter').forEach(other => {
+                other.classList.toggle('active', other === button);
+            });
+            cards.forEach(card => {
+                card.style.display = tag === 'all' || cardTags(card).includes(tag) ? '' : 'none';
+            });
+        });
+        
+        filters.appendChild(button);
+    });
+}
+
+// Show event dates (<time datetime="2024-06-15">) in the visitor's date format
+function formatEventDates() {
+    document.querySelectorAll('time[datetime]').forEach(time => {
+        const date = new Date(time.getAttribute('datetime') + 'T00:00:00');
+        if (!isNaN(date)) {
+            time.textContent = date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+        }
+    });
+}
+
+// Initialize the lightbox, testimonials, gallery filters and dates on page load
 document.addEventListener('DOMContentLoaded', () => {
+    initializeModal();
+    initializeEventDateInput();
     loadTestimonials();
+    initializeGalleryFilters();
+    formatEventDates();
     
     // Set up navigation button event listeners
     const prevBtn = document.getElementById('testimonial-prev');
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffData, summarizeDiff, applyDiff, getAtPath, diffLines } = require('../lib/diff');
+
+const photo = (src, alt) => ({ src, alt });
+const before = {
+    hero: { title: 'Spring florals' },
+    portfolio: { images: [photo('a.jpg', 'Peonies'), photo('b.jpg', 'Tulips'), photo('c.jpg', 'Roses')] }
+};
+// The roses moved to the front
+const after = {
+    hero: { title: 'Spring florals' },
+    portfolio: { images: [photo('c.jpg', 'Roses'), photo('a.jpg', 'Peonies'), photo('b.jpg', 'Tulips')] }
+};
+
+test('a moved list item is one move, with where it came from and went to', () => {
+    assert.deepStrictEqual(diffData(before, after, { moves: true }), [
+        { path: 'portfolio.images[0]', type: 'moved', from: 2, to: 0, after: photo('c.jpg', 'Roses') }
+    ]);
+});
+
+test('added and removed list items are reported as such when moves are asked for', () => {
+    const added = { ...before, portfolio: { images: [...before.portfolio.images, photo('d.jpg', 'Lilies')] } };
+    assert.deepStrictEqual(diffData(before, added, { moves: true }), [
+        { path: 'portfolio.images[3]', type: 'added', after: photo('d.jpg', 'Lilies') }
+    ]);
+    const removed = { ...before, portfolio: { images: before.portfolio.images.slice(1) } };
+    assert.deepStrictEqual(diffData(before, removed, { moves: true }), [
+        { path: 'portfolio.images[0]', type: 'removed', before: photo('a.jpg', 'Peonies') }
+    ]);
+});
+
+test('without moves, a moved item changes every position it passed through, and applyDiff() goes both ways', () => {
+    const changes = diffData(before, after);
+    assert.deepStrictEqual(changes.map(change => change.path), [
+        'portfolio.images[0].src', 'portfolio.images[0].alt',
+        'portfolio.images[1].src', 'portfolio.images[1].alt',
+        'portfolio.images[2].src', 'portfolio.images[2].alt'
+    ]);
+    assert.deepStrictEqual(applyDiff(before, changes), after);
+    assert.deepStrictEqual(applyDiff(after, changes, 'backward'), before);
+    assert.strictEqual(before.portfolio.images[0].src, 'a.jpg', 'the data given is left as it was');
+});
+
+test('applyDiff() adds and removes list items and fields', () => {
+    const longer = {
+        hero: { title: 'Spring florals', subtitle: 'New' },
+        portfolio: { images: [...before.portfolio.images, photo('d.jpg', 'Lilies'), photo('e.jpg', 'Daisies')] }
+    };
+    const changes = diffData(before, longer);
+    assert.deepStrictEqual(changes.map(change => `${change.type} ${change.path}`), [
+        'added hero.subtitle', 'added portfolio.images[3]', 'added portfolio.images[4]'
+    ]);
+    assert.deepStrictEqual(applyDiff(before, changes), longer);
+    assert.deepStrictEqual(applyDiff(longer, changes, 'backward'), before);
+});
+
+test('summaries name the first few fields', () => {
+    assert.strictEqual(summarizeDiff([]), 'No content changes');
+    assert.strictEqual(summarizeDiff([{ path: 'hero.title' }]), 'Changed hero.title');
+    assert.strictEqual(summarizeDiff([{ path: 'a' }, { path: 'b' }]), 'Changed a and b');
+    assert.strictEqual(summarizeDiff(['a', 'b', 'c', 'd', 'e'].map(path => ({ path }))), 'Changed a, b, c and 2 more');
+    assert.strictEqual(getAtPath(after, 'portfolio.images[0].alt'), 'Roses');
+    assert.strictEqual(getAtPath(after, 'portfolio.images[9].alt'), undefined);
+});
+
+test('diffLines() gives hunks with their line numbers and a little context', () => {
+    const lines = count => Array.from({ length: count }, (_, index) => `line ${index + 1}`);
+    const changed = lines(20);
+    changed[9] = 'line ten';
+    const hunks = diffLines(lines(20).join('\n'), changed.join('\n'), 2);
+    assert.strictEqual(hunks.length, 1);
+    assert.strictEqual(hunks[0].beforeLine, 8);
+    assert.strictEqual(hunks[0].afterLine, 8);
+    assert.deepStrictEqual(hunks[0].lines.map(line => `${line.type} ${line.text}`), [
+        'same line 8', 'same line 9', 'removed line 10', 'added line ten', 'same line 11', 'same line 12'
+    ]);
+    assert.deepStrictEqual(diffLines('same\n', 'same\n'), []);
+});
@@ -0,0 +1,83 @@
+/**
+ * Golden-file tests
+ * test/golden/data.json is rendered through build.js (what a publish uploads) and through
+ * renderPage() (what the editor preview shows), and every page must come out byte for byte
+ * as the HTML kept in test/golden/ (index.html, about/index.html, portfolio/<slug>/index.html, ...).
+ *
+ * After an intended change to the templates or the renderer, write the new golden files with
+ *   UPDATE_GOLDEN=1 npm test
+ * and check their diff before committing them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { listPages, renderPage } = require('../lib/pages');
+const { removeFingerprints } = require('../lib/assets');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const DATA_PATH = path.join(GOLDEN_DIR, 'data.json');
+
+const data = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+const pages = listPages(data);
+
+// Build test/golden/data.json with build.js into a temporary folder
+function build(...args) {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'golden-'));
+    execFileSync(process.execPath, [path.join(ROOT_DIR, 'build.js'), '--strict', '--data', DATA_PATH, '--out', outDir, ...args], { cwd: ROOT_DIR });
+    return outDir;
+}
+
+function readGolden(page) {
+    return fs.readFileSync(path.join(GOLDEN_DIR, page.output), 'utf8');
+}
+
+if (process.env.UPDATE_GOLDEN) {
+    const outDir = build();
+    pages.forEach(page => {
+        const goldenPath = path.join(GOLDEN_DIR, page.output);
+        fs.mkdirSync(path.dirname(goldenPath), { recursive: true });
+        fs.copyFileSync(path.join(outDir, page.output), goldenPath);
+    });
+    fs.rmSync(outDir, { recursive: true, force: true });
+}
+
+test('build.js renders every page as its golden file', () => {
+    const outDir = build();
+    try {
+        pages.forEach(page => {
+            assert.strictEqual(fs.readFileSync(path.join(outDir, page.output), 'utf8'), readGolden(page), page.output);
+        });
+    } finally {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    }
+});
+
+test('a publish build is the golden files with fingerprinted styles and scripts', () => {
+    const outDir = build('--fingerprint');
+    try {
+        pages.forEach(page => {
+            const html = fs.readFileSync(path.join(outDir, page.output), 'utf8');
+            assert.notStrictEqual(html, readGolden(page), `${page.output} links to fingerprinted files`);
+            assert.strictEqual(removeFingerprints(html), readGolden(page), page.output);
+        });
+    } finally {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    }
+});
+
+test('renderPage() renders every page as its golden file', () => {
+    pages.forEach(page => {
+        assert.strictEqual(renderPage(page, data).html, readGolden(page), page.output);
+    });
+});
+
+test('the editor preview of the home page is its golden file', () => {
+    // The editor previews every page from one URL, with {{@base}} set to '' - what the home page has anyway
+    const home = pages.find(page => page.name === 'index');
+    assert.strictEqual(renderPage(home, data, { base: '' }).html, readGolden(home));
+});
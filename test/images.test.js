@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { variantName, resolveImages } = require('../lib/images');
+
+test('photos that differ only in their extension get resized copies of their own', () => {
+    assert.strictEqual(variantName('flowers.jpg', 480, 'webp'), 'variants/flowers.jpg-480.webp');
+    assert.strictEqual(variantName('flowers.png', 480, 'webp'), 'variants/flowers.png-480.webp');
+    assert.strictEqual(variantName('flowers.png', 960, 'jpeg'), 'variants/flowers.png-960.jpg');
+});
+
+test('srcset links to the copies of the photo itself', () => {
+    const manifest = {
+        'flowers.jpg': { width: 1200, height: 800, widths: [480], formats: ['webp'] },
+        'flowers.png': { width: 1200, height: 800, widths: [480], formats: ['webp'] }
+    };
+    const html = resolveImages('<img data-src="flowers.png" alt="">', { imageBasePath: '/photos', manifest });
+    assert.match(html, /srcset="\/photos\/variants\/flowers\.png-480\.webp 480w"/);
+    assert.doesNotMatch(html, /flowers\.jpg/);
+});
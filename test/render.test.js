@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { render, renderWithReport } = require('../lib/render');
+
+const quiet = { log: () => {} };
+
+test('{{path}} is escaped and {{{path}}} is not', () => {
+    const data = { about: { title: 'Anna & "Co" <b>', text: 'Line one<br>Line two' } };
+    assert.strictEqual(
+        render('<h2 title="{{about.title}}">{{about.title}}</h2><p>{{{about.text}}}</p>', data, quiet),
+        '<h2 title="Anna &amp; &quot;Co&quot; &lt;b&gt;">Anna &amp; &quot;Co&quot; &lt;b&gt;</h2><p>Line one<br>Line two</p>'
+    );
+    // Apostrophes are left alone, so text reads as it always has
+    assert.strictEqual(render('{{name}}', { name: 'Anna\'s' }, quiet), 'Anna\'s');
+    assert.strictEqual(render('[{{empty}}]', { empty: null }, quiet), '[]');
+    assert.strictEqual(render('{{count}}', { count: 0 }, quiet), '0');
+});
+
+test('{{#if}} and {{#unless}} treat empty strings and empty lists as false', () => {
+    const template = '{{#if hero.subtitle}}<p>{{hero.subtitle}}</p>{{else}}<p>No subtitle</p>{{/if}}';
+    assert.strictEqual(render(template, { hero: { subtitle: 'Weddings' } }, quiet), '<p>Weddings</p>');
+    assert.strictEqual(render(template, { hero: { subtitle: '' } }, quiet), '<p>No subtitle</p>');
+    assert.strictEqual(render(template, { hero: {} }, quiet), '<p>No subtitle</p>');
+
+    const list = '{{#unless items}}Nothing yet{{/unless}}';
+    assert.strictEqual(render(list, { items: [] }, quiet), 'Nothing yet');
+    assert.strictEqual(render(list, { items: ['Roses'] }, quiet), '');
+});
+
+test('{{#each}} gives each item with @index, @first and @last', () => {
+    const data = {
+        shop: 'Cottage',
+        services: [{ title: 'Weddings' }, { title: 'Events' }, { title: 'Gifts' }]
+    };
+    const template = '{{#each services}}{{#if @first}}[{{/if}}{{@index}}:{{this.title}} at {{../shop}}{{#unless @last}}, {{/unless}}{{#if @last}}]{{/if}}{{/each}}';
+    assert.strictEqual(render(template, data, quiet), '[0:Weddings at Cottage, 1:Events at Cottage, 2:Gifts at Cottage]');
+
+    assert.strictEqual(render('{{#each tags}}<i>{{this}}</i>{{else}}No tags{{/each}}', { tags: ['a&b', 'c'] }, quiet), '<i>a&amp;b</i><i>c</i>');
+    assert.strictEqual(render('{{#each tags}}<i>{{this}}</i>{{else}}No tags{{/each}}', { tags: [] }, quiet), 'No tags');
+    assert.strictEqual(render('{{#each hours}}{{@key}}={{this}};{{/each}}', { hours: { mon: '9-5', sat: '10-2' } }, quiet), 'mon=9-5;sat=10-2;');
+});
+
+test('nested loops reach the outer item with ../', () => {
+    const data = { galleries: [{ title: 'Weddings', photos: ['a.jpg', 'b.jpg'] }, { title: 'Events', photos: ['c.jpg'] }] };
+    assert.strictEqual(
+        render('{{#each galleries}}{{#each this.photos}}{{../title}}/{{this}} {{/each}}{{/each}}', data, quiet),
+        'Weddings/a.jpg Weddings/b.jpg Events/c.jpg '
+    );
+});
+
+test('partials render with the current item, or the data at the path given', () => {
+    const partials = {
+        card: '<div class="card">{{title}}</div>',
+        contact: '<p>{{phone}}</p>\n'
+    };
+    const data = { services: [{ title: 'Weddings' }, { title: '<Events>' }], contact: { phone: '555-0100' } };
+    assert.strictEqual(render('{{#each services}}{{> card}}{{/each}}', data, { ...quiet, partials }),
+        '<div class="card">Weddings</div><div class="card">&lt;Events&gt;</div>');
+    // A partial on a line of its own doesn't add a blank line
+    assert.strictEqual(render('<footer>\n    {{> contact contact}}\n</footer>', data, { ...quiet, partials }),
+        '<footer>\n<p>555-0100</p>\n</footer>');
+
+    assert.throws(() => render('{{> missing}}', data, { ...quiet, partials }), /Partial "missing" not found on line 1/);
+    assert.throws(() => render('{{> loop}}', data, { ...quiet, partials: { loop: '{{> loop}}' } }), /nested more than 20 deep/);
+});
+
+test('mistakes in a template are reported with their line', () => {
+    assert.throws(() => render('<p>\n{{#if a}}\n', {}, quiet), /Unclosed \{\{#if\}\} opened on line 2/);
+    assert.throws(() => render('{{#if a}}\n{{/each}}', {}, quiet), /"\{\{\/each\}\}" on line 2 does not close \{\{#if\}\} opened on line 1/);
+    assert.throws(() => render('{{#with a}}{{/with}}', {}, quiet), /Unknown block helper/);
+    // A misspelt top-level path stays visible on the page
+    assert.strictEqual(render('<h1>{{hero.titel}}</h1>', { hero: { title: 'Hi' } }, quiet), '<h1>{{hero.titel}}</h1>');
+});
+
+test('renderWithReport() gives the line of each unresolved placeholder and the keys no placeholder used', () => {
+    const template = [
+        '<h1>{{hero.title}}</h1>',
+        '<p>{{hero.subtitel}}</p>',
+        '{{#each services}}',
+        '  <li>{{this.title}} {{this.pirce}}</li>',
+        '{{/each}}'
+    ].join('\n');
+    const data = {
+        hero: { title: 'Spring', subtitle: 'Florals' },
+        services: [{ title: 'Weddings', price: 'From $500' }, { title: 'Events', price: 'On request' }],
+        standards: { title: 'Kept for later' },
+        config: { image_base_path: '/photos' }
+    };
+
+    const report = renderWithReport(template, data, { ...quiet, templateName: 'index.template.html' });
+    assert.deepStrictEqual(report.unresolved, [
+        { file: 'index.template.html', line: 2, placeholder: '{{hero.subtitel}}' },
+        { file: 'index.template.html', line: 4, placeholder: '{{this.pirce}}' }
+    ]);
+    assert.deepStrictEqual(report.unusedKeys, ['hero.subtitle', 'services[].price', 'standards.title']);
+
+    // config is never reported, and config.strict_ignore_keys skips whole sections
+    data.config.strict_ignore_keys = ['standards', 'services[].price'];
+    assert.deepStrictEqual(renderWithReport(template, data, quiet).unusedKeys, ['hero.subtitle']);
+});
+
+test('build.js --strict exits with 1 and writes nothing when a key is unused', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'strict-'));
+    try {
+        const data = JSON.parse(fs.readFileSync(path.join(__dirname, 'golden', 'data.json'), 'utf8'));
+        // The golden data keeps its standards section out of the report this way
+        delete data.config.strict_ignore_keys;
+        const dataPath = path.join(dir, 'data.json');
+        fs.writeFileSync(dataPath, JSON.stringify(data), 'utf8');
+        const outDir = path.join(dir, 'site');
+
+        const build = (...args) => spawnSync(process.execPath,
+            [path.join(__dirname, '..', 'build.js'), '--data', dataPath, '--out', outDir, ...args], { encoding: 'utf8' });
+        const strict = build('--strict');
+        assert.strictEqual(strict.status, 1);
+        assert.match(strict.stderr, /data\.json key\(s\) not used by any page:\n {4}standards\.title\n/);
+        assert.match(strict.stderr, /Strict build failed, no pages were written/);
+        assert.ok(!fs.existsSync(outDir));
+
+        // Without --strict the same data builds
+        assert.strictEqual(build().status, 0);
+        assert.ok(fs.existsSync(path.join(outDir, 'index.html')));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
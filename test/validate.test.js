@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('../lib/validate');
+
+const schema = {
+    type: 'object',
+    required: ['hero', 'services'],
+    additionalProperties: false,
+    properties: {
+        hero: {
+            type: 'object',
+            required: ['title'],
+            properties: {
+                title: { type: 'string', minLength: 1 },
+                align: { type: 'string', enum: ['left', 'center'] }
+            }
+        },
+        services: {
+            type: 'array',
+            items: { $ref: '#/definitions/service' }
+        }
+    },
+    definitions: {
+        service: {
+            type: 'object',
+            required: ['title'],
+            properties: {
+                title: { type: 'string' },
+                price: { type: 'number', minimum: 0 }
+            }
+        }
+    }
+};
+
+const valid = () => ({
+    hero: { title: 'Wedding photography', align: 'center' },
+    services: [{ title: 'Portraits', price: 200 }]
+});
+
+test('valid data has no errors', () => {
+    assert.deepStrictEqual(validate(valid(), schema), []);
+});
+
+test('a value of the wrong type is reported at its path', () => {
+    const data = valid();
+    data.hero.title = 42;
+    assert.deepStrictEqual(validate(data, schema), [{ path: 'hero.title', message: 'must be string, got integer' }]);
+});
+
+test('a missing required field is reported at the path it should have', () => {
+    const data = valid();
+    delete data.hero.title;
+    assert.deepStrictEqual(validate(data, schema), [{ path: 'hero.title', message: 'is required' }]);
+});
+
+test('a value outside the enum lists the allowed ones', () => {
+    const data = valid();
+    data.hero.align = 'justify';
+    assert.deepStrictEqual(validate(data, schema), [{ path: 'hero.align', message: 'must be one of: left, center' }]);
+});
+
+test('fields the schema does not know are reported, including ones named like Object properties', () => {
+    const data = valid();
+    data.extra = true;
+    data.constructor = 'not a schema property';
+    assert.deepStrictEqual(validate(data, schema), [
+        { path: 'extra', message: 'is not a known field' },
+        { path: 'constructor', message: 'is not a known field' }
+    ]);
+});
+
+test('array items are checked against their schema, with the index in the path', () => {
+    const data = valid();
+    data.services.push({ price: -5 }, { title: 'Events', price: 'a lot' });
+    assert.deepStrictEqual(validate(data, schema), [
+        { path: 'services[1].title', message: 'is required' },
+        { path: 'services[1].price', message: 'must be at least 0' },
+        { path: 'services[2].price', message: 'must be number, got string' }
+    ]);
+});
+
+test('the site data matches data.schema.json', () => {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, 'golden', 'data.json'), 'utf8'));
+    assert.deepStrictEqual(validate(data), []);
+});